@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { RANKING_METRICS, averageScores, compareToBaseline, scoreRanking } from './src/relevance.js';
+import { MOCK_CREDENTIALS, MockBackend } from './tools/mock-backend.js';
+import { RecordedBackend } from './tools/recorded-backend.js';
+
+const SERVER = fileURLToPath(new URL('./index.js', import.meta.url));
+const DEFAULT_GOLDEN = fileURLToPath(new URL('./test/fixtures/golden-queries.json', import.meta.url));
+
+const DEFAULT_K = 5;
+const DEFAULT_THRESHOLDS = [0.5, 0.6, 0.7, 0.8];
+const SEARCH_MODES = ['hybrid', 'literal', 'semantic'];
+
+function parseArgs(argv) {
+    const options = { golden: DEFAULT_GOLDEN, backend: 'live', k: null, thresholds: null, baseline: null, saveBaseline: null, tolerance: 0.01, json: false };
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (arg === '--mock') {
+            options.backend = 'mock';
+        } else if (arg === '--record' || arg === '--replay') {
+            options.backend = arg.slice(2);
+            options.recording = argv[++index];
+        } else if (arg === '--k') {
+            options.k = parseInt(argv[++index], 10);
+        } else if (arg === '--thresholds') {
+            options.thresholds = argv[++index].split(',').map(Number);
+        } else if (arg === '--baseline') {
+            options.baseline = argv[++index];
+        } else if (arg === '--save-baseline') {
+            options.saveBaseline = argv[++index];
+        } else if (arg === '--tolerance') {
+            options.tolerance = parseFloat(argv[++index]);
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--help' || arg === '-h') {
+            console.log('Usage: node evaluate-search.js [golden.json] [--mock | --record file | --replay file] [--k 5] [--thresholds 0.5,0.7] [--baseline file] [--save-baseline file] [--tolerance 0.01] [--json]');
+            process.exit(0);
+        } else {
+            options.golden = arg;
+        }
+    }
+    return options;
+}
+
+/**
+ * Start the backend the server will talk to and return the env pointing it there
+ *
+ * live and record use the configured backend and credentials; mock and
+ * replay run offline with stand-in credentials.
+ */
+async function startBackend(options) {
+    if (options.backend === 'mock') {
+        const backend = new MockBackend();
+        const url = await backend.start();
+        return { backend, env: { BACKEND_URL: url, ADMIN_EMAIL: MOCK_CREDENTIALS.email, ADMIN_PASSWORD: MOCK_CREDENTIALS.password } };
+    }
+    if (options.backend === 'replay') {
+        const backend = new RecordedBackend({ file: options.recording, mode: 'replay' });
+        const url = await backend.start();
+        return { backend, env: { BACKEND_URL: url, ADMIN_EMAIL: 'replay@localhost', ADMIN_PASSWORD: 'replay' } };
+    }
+    if (options.backend === 'record') {
+        if (!process.env.BACKEND_URL) {
+            throw new Error('Recording needs BACKEND_URL (and the credentials) of the backend to record');
+        }
+        const backend = new RecordedBackend({ file: options.recording, mode: 'record', target: process.env.BACKEND_URL });
+        const url = await backend.start();
+        return { backend, env: { BACKEND_URL: url } };
+    }
+    return { backend: null, env: {} };
+}
+
+/**
+ * Every configuration scored: each products.search mode, and
+ * products.vectorSearch at each threshold of the sweep
+ */
+function configurations(k, thresholds) {
+    return [
+        ...SEARCH_MODES.map(mode => ({ name: `products.search mode=${mode}`, tool: 'products.search', arguments: { mode, limit: k } })),
+        ...thresholds.map(threshold => ({ name: `products.vectorSearch threshold=${threshold}`, tool: 'products.vectorSearch', arguments: { threshold, limit: k } }))
+    ];
+}
+
+async function evaluate(client, golden, config, k) {
+    const queries = [];
+    for (const item of golden.queries) {
+        const response = await client.callTool({
+            name: config.tool,
+            arguments: { query: item.query, ...item.filters, ...config.arguments }
+        });
+        if (response.isError) {
+            const { error } = JSON.parse(response.content[0].text);
+            queries.push({ query: item.query, error: `${error.code}: ${error.message}`, ...scoreRanking([], item.relevant, k) });
+            continue;
+        }
+
+        // structuredContent is optional in MCP; the JSON text carries the same result
+        const result = response.structuredContent ?? JSON.parse(response.content[0].text);
+        const ranked = (result.products || []).map(product => product.code);
+        queries.push({ query: item.query, ranked: ranked.slice(0, k), ...scoreRanking(ranked, item.relevant, k) });
+    }
+
+    return {
+        tool: config.tool,
+        arguments: config.arguments,
+        metrics: averageScores(queries),
+        failed: queries.filter(query => query.error).length,
+        queries
+    };
+}
+
+function printReport(report) {
+    const width = Math.max(...Object.keys(report.configs).map(name => name.length));
+    console.log(`📊 Relevance @${report.k} over ${report.queryCount} queries (${report.backend} backend)\n`);
+    console.log(`${'configuration'.padEnd(width)}  recall     MRR    nDCG  failed`);
+    for (const [name, result] of Object.entries(report.configs)) {
+        const values = RANKING_METRICS.map(metric => String(result.metrics[metric]?.toFixed(3) ?? '-').padStart(6));
+        console.log(`${name.padEnd(width)}  ${values.join('  ')}  ${String(result.failed).padStart(6)}`);
+    }
+
+    if (report.comparison) {
+        const { comparison } = report;
+        console.log(`\n🔁 Against the baseline${comparison.baselineGeneratedAt ? ` of ${comparison.baselineGeneratedAt}` : ''} (tolerance ${comparison.tolerance}): ${comparison.regressions} regressed`);
+        for (const [name, change] of Object.entries(comparison.configs)) {
+            if (change.status === 'regressed') {
+                const details = change.regressed.map(metric => `${metric} ${change.metrics[metric].baseline} → ${change.metrics[metric].current}`);
+                console.log(`⚠️ ${name}: ${details.join(', ')}`);
+            } else if (change.status !== 'ok') {
+                console.log(`   ${name}: ${change.status}`);
+            }
+        }
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const golden = JSON.parse(await readFile(options.golden, 'utf8'));
+    const k = options.k || golden.k || DEFAULT_K;
+    const thresholds = options.thresholds || golden.thresholds || DEFAULT_THRESHOLDS;
+
+    const { backend, env } = await startBackend(options);
+    // Same configuration as a normal run, but uncached and without auditing the evaluation
+    const transport = new StdioClientTransport({
+        command: process.execPath,
+        args: [SERVER],
+        env: { ...process.env, ...env, AUDIT_LOG_FILE: '', CACHE_TTL_MS: '0' },
+        stderr: 'ignore'
+    });
+    const client = new Client({ name: 'evaluate-search', version: '1.0.0' }, { capabilities: {} });
+
+    const report = { generatedAt: new Date().toISOString(), golden: relative(process.cwd(), options.golden), backend: options.backend, k, queryCount: golden.queries.length, configs: {} };
+    try {
+        await client.connect(transport);
+        for (const config of configurations(k, thresholds)) {
+            report.configs[config.name] = await evaluate(client, golden, config, k);
+        }
+    } finally {
+        await client.close();
+        await backend?.close();
+    }
+
+    if (options.baseline) {
+        report.comparison = compareToBaseline(report, JSON.parse(await readFile(options.baseline, 'utf8')), options.tolerance);
+    }
+    if (options.saveBaseline) {
+        const { comparison, ...baseline } = report;
+        await writeFile(options.saveBaseline, JSON.stringify(baseline, null, 2) + '\n');
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+
+    // Non-zero exit so the evaluation can gate a threshold or query handling change
+    if (report.comparison?.regressions > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Evaluation failed:', error.message);
+    process.exit(1);
+});
@@ -2,306 +2,2042 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+    CallToolRequestSchema,
+    GetPromptRequestSchema,
+    ListPromptsRequestSchema,
+    ListResourcesRequestSchema,
+    ListResourceTemplatesRequestSchema,
+    ListToolsRequestSchema,
+    ReadResourceRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
 import axios from 'axios';
 import dotenv from 'dotenv';
+import { ResponseCache, cacheKey } from './src/cache.js';
+import { BackendError, CircuitBreaker, toBackendError, withRetry } from './src/resilience.js';
+import { startHttpServer } from './src/http.js';
+import { getPrompt, listPrompts } from './src/prompts.js';
+import { RequisitionStore, summarizeRequisition } from './src/requisitions.js';
+import { mapWithConcurrency, parseItemList } from './src/matchList.js';
+import { loadAbbreviations, normalizeLiteralQuery, normalizeQuery } from './src/normalize.js';
+import { compareProducts, comparisonToMarkdown } from './src/compare.js';
+import { ToolError, toToolError } from './src/errors.js';
+import { validateArguments, validateResult } from './src/validation.js';
+import { markdownTable, renderResult, withOutputOptions } from './src/format.js';
+import { withOutputSchema } from './src/outputSchemas.js';
+import { AuditLog, summarizeResult } from './src/audit.js';
+import { logger } from './src/logger.js';
+import { Metrics, startMetricsServer } from './src/metrics.js';
+import { ConfigError, describeConfig, loadConfig } from './src/config.js';
+import { BackendSession } from './src/auth.js';
 
-// Load environment variables
+// Load environment variables, then the validated configuration (see src/config.js)
 dotenv.config();
 
+const cli = parseCliArgs(process.argv.slice(2));
+const config = resolveConfig(cli);
+const settings = config.values;
+
 // Configuration
-const BACKEND_URL = process.env.BACKEND_URL || 'http://192.168.37.1:3100';
-const ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'admin@ulbra.edu.br';
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '123456';
+const BACKEND_URL = settings.BACKEND_URL;
+const ADMIN_EMAIL = settings.ADMIN_EMAIL;
+const ADMIN_PASSWORD = settings.ADMIN_PASSWORD;
+
+// Authentication: `service` runs every session without its own credentials as
+// the admin account; `user` requires them, unless the admin fallback is enabled
+const AUTH_MODE = settings.AUTH_MODE;
+const AUTH_ADMIN_FALLBACK = settings.AUTH_ADMIN_FALLBACK;
+
+// Backend users allowed to use admin.cache besides the service account
+const CACHE_ADMINS = settings.CACHE_ADMINS;
+
+// Transport settings: stdio (default) or http (SSE), with optional client bearer tokens
+const MCP_TRANSPORT = settings.MCP_TRANSPORT;
+const MCP_HTTP_PORT = settings.MCP_HTTP_PORT;
+const MCP_HTTP_HOST = settings.MCP_HTTP_HOST;
+const MCP_HTTP_TOKENS = settings.MCP_HTTP_TOKENS;
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+// Search settings
+const SEARCH_MODES = ['literal', 'semantic', 'hybrid'];
+const RRF_K = 60;
+
+// Largest `limit` a tool accepts; larger values are clamped
+const MAX_RESULT_LIMIT = settings.MAX_RESULT_LIMIT;
+
+// Default similarity thresholds: vector search and list matching, and similar products
+const DEFAULT_THRESHOLD = settings.DEFAULT_THRESHOLD;
+const SIMILAR_THRESHOLD = settings.SIMILAR_THRESHOLD;
+
+// Filter settings: backend-side filters and over-fetch factor for local filtering
+// (the request grows by the factor until enough products pass the filters)
+const BACKEND_FILTERS = ['family', 'type', 'unit'];
+const FILTER_OVERFETCH_FACTOR = 5;
+const MAX_FETCH_LIMIT = 100;
+
+// List matching settings: searches in flight, lines per call and the
+// similarity above which a match is considered high confidence
+const MATCH_CONCURRENCY = 4;
+const MATCH_MAX_LINES = 100;
+const MATCH_HIGH_CONFIDENCE = 0.85;
+
+// Exact code lookups: results asked for per code (the search is anchored on the
+// whole code, so only a product named like the code can share the page)
+const CODE_LOOKUP_LIMIT = 5;
+
+// Resource settings: how many products a family:// resource lists
+const FAMILY_RESOURCE_LIMIT = 100;
+
+// Catalog browsing: products scanned to count families/types, and how long
+// those counts are cached (they change far less often than search results)
+const CATALOG_SCAN_LIMIT = settings.CATALOG_SCAN_LIMIT;
+const CATALOG_CACHE_TTL_MS = settings.CATALOG_CACHE_TTL_MS;
+
+// Prompt library (editable data file)
+const PROMPTS_FILE = settings.PROMPTS_FILE;
+
+// Supply abbreviations expanded by query normalization (editable data file)
+const ABBREVIATIONS_FILE = settings.ABBREVIATIONS_FILE;
+
+// Requisition drafts file (survives restarts)
+const REQUISITIONS_FILE = settings.REQUISITIONS_FILE;
+
+// Audit log of tool calls (AUDIT_LOG_FILE= empty disables it), rotated by size,
+// with credentials and the values of the listed argument fields redacted
+const AUDIT_LOG_FILE = settings.AUDIT_LOG_FILE;
+const AUDIT_MAX_BYTES = settings.AUDIT_MAX_BYTES;
+const AUDIT_MAX_FILES = settings.AUDIT_MAX_FILES;
+const AUDIT_REDACT_FIELDS = settings.AUDIT_REDACT_FIELDS;
+const AUDIT_TOP_CODES = 5;
+
+// Logging and metrics: log level, the header carrying each tool call's
+// correlation id to the backend, and the optional Prometheus endpoint port
+const LOG_LEVEL = settings.LOG_LEVEL;
+const CORRELATION_ID_HEADER = settings.CORRELATION_ID_HEADER;
+const METRICS_PORT = settings.METRICS_PORT;
+const METRICS_HOST = settings.METRICS_HOST;
+
+// Response cache settings (CACHE_TTL_MS=0 disables caching)
+const CACHE_TTL_MS = settings.CACHE_TTL_MS;
+const CACHE_MAX_ENTRIES = settings.CACHE_MAX_ENTRIES;
+
+// Backend resilience settings
+const BACKEND_TIMEOUT_MS = settings.BACKEND_TIMEOUT_MS;
+const BACKEND_RETRIES = settings.BACKEND_RETRIES;
+const BACKEND_RETRY_BASE_MS = settings.BACKEND_RETRY_BASE_MS;
+const BREAKER_THRESHOLD = settings.BREAKER_THRESHOLD;
+const BREAKER_COOLDOWN_MS = settings.BREAKER_COOLDOWN_MS;
+
+// Backend credentials and token caches: the admin service account (only when
+// configured for this auth mode) and the users' own, by MCP session id
+const serviceSession = AUTH_MODE === 'service' || AUTH_ADMIN_FALLBACK
+    ? new BackendSession({ email: ADMIN_EMAIL, password: ADMIN_PASSWORD })
+    : null;
+const userSessions = new Map();
+
+// Global response cache and per tool call context (collects cache metadata)
+const responseCache = new ResponseCache({ ttlMs: CACHE_TTL_MS, maxEntries: CACHE_MAX_ENTRIES });
+const callContext = new AsyncLocalStorage();
+
+// Catalog family/type counts, cached with their own longer TTL (one entry per
+// backend user, since each one may see a different part of the catalog)
+const catalogCache = new ResponseCache({ ttlMs: CATALOG_CACHE_TTL_MS, maxEntries: CACHE_MAX_ENTRIES });
+
+// Abbreviation dictionary, loaded once at startup
+const abbreviations = loadAbbreviations(ABBREVIATIONS_FILE);
+
+// Requisition drafts, owned by backend user
+const requisitionStore = new RequisitionStore(REQUISITIONS_FILE);
+
+// Global circuit breaker shared by every backend call
+const circuitBreaker = new CircuitBreaker({ threshold: BREAKER_THRESHOLD, cooldownMs: BREAKER_COOLDOWN_MS });
+
+const metrics = new Metrics();
+
+// Log lines written during a tool call carry its correlation id and tool name
+logger.configure({
+    level: LOG_LEVEL,
+    context: () => {
+        const context = callContext.getStore();
+        return context ? { correlationId: context.correlationId, tool: context.tool } : {};
+    }
+});
+
+const auditLog = new AuditLog({
+    file: AUDIT_LOG_FILE,
+    maxBytes: AUDIT_MAX_BYTES,
+    maxFiles: AUDIT_MAX_FILES,
+    redactFields: AUDIT_REDACT_FIELDS
+});
+
+/**
+ * Backend credentials of the current tool call's session: its user's own, or
+ * the service account when configured; AUTH_REQUIRED otherwise
+ */
+function currentBackendSession() {
+    const sessionId = currentSessionId();
+    const session = userSessions.get(sessionId) || serviceSession;
+    if (!session) {
+        throw new ToolError('AUTH_REQUIRED', 'No backend credentials for this session: call auth.login first (over HTTP, X-Backend-Token or X-Backend-Email and X-Backend-Password can be sent instead)');
+    }
+    return session;
+}
+
+/**
+ * Cache key scoped to the current backend user, so users never see each
+ * other's results (the service account keeps the plain key)
+ *
+ * A user's credentials are confirmed by the backend before their principal
+ * scopes anything, so a forged token cannot read another user's entries.
+ */
+async function scopedCacheKey(key) {
+    const session = currentBackendSession();
+    if (session === serviceSession) {
+        return key;
+    }
+    await getVerifiedToken(session);
+    return `${key}#${session.principal}`;
+}
 
-// Global token cache
-let authToken = null;
-let tokenExpiry = null;
+/**
+ * Get a valid backend token for a session, logging in if needed
+ */
+async function getAuthToken(session) {
+    const token = await session.getToken(login);
+    if (!token) {
+        throw new ToolError('AUTH_FAILED', 'The backend token of this session expired or was rejected: call auth.login again');
+    }
+    return token;
+}
 
 /**
- * Get authentication token from backend
+ * Get a session's token once the backend has accepted its credentials: a
+ * password session is confirmed by its login, a token supplied by the client
+ * by one authenticated request
  */
-async function getAuthToken() {
-    // Check if token is still valid
-    if (authToken && tokenExpiry && Date.now() < tokenExpiry) {
-        return authToken;
+async function getVerifiedToken(session) {
+    const token = await getAuthToken(session);
+    if (session.verified) {
+        return token;
     }
 
     try {
-        console.error('🔐 Authenticating with backend...');
-        const response = await axios.post(`${BACKEND_URL}/login`, {
-            email: ADMIN_EMAIL,
-            password: ADMIN_PASSWORD
-        });
+        await fetchWithToken('/api/supply/products', { limit: 1 }, token);
+    } catch (error) {
+        if (error.status !== 401) {
+            throw error;
+        }
+        session.invalidate(token);
+        throw new ToolError('AUTH_FAILED', 'The backend rejected the token', { cause: error });
+    }
+    session.verified = true;
+    return token;
+}
+
+/**
+ * Log in to the backend with the given credentials and return the token
+ *
+ * `reason` (initial, expired or rejected) is only recorded in the metrics.
+ */
+async function login({ email, password }, reason) {
+    const startedAt = Date.now();
+    try {
+        logger.info('Authenticating with backend', { principal: email, reason });
+        metrics.countLogin(reason);
+        // Login is a POST: never retried, but still bounded and guarded by the breaker
+        const response = await circuitBreaker.execute(() => axios.post(`${BACKEND_URL}/login`, {
+            email,
+            password
+        }, {
+            headers: correlationHeaders(),
+            timeout: BACKEND_TIMEOUT_MS
+        }));
 
-        authToken = response.data.token;
-        // Set expiry to 23 hours (token is valid for 24h)
-        tokenExpiry = Date.now() + (23 * 60 * 60 * 1000);
-        
-        console.error('✅ Authentication successful');
-        return authToken;
+        metrics.observeBackend('/login', Date.now() - startedAt);
+        logger.info('Authentication successful', { principal: email });
+        return response.data.token;
     } catch (error) {
-        console.error('❌ Authentication failed:', error.message);
-        throw new Error('Failed to authenticate with backend');
+        const backendError = toBackendError(error, 'Failed to authenticate with backend');
+        // Rejected credentials at /login are an auth problem, whatever the status code
+        const failure = backendError.type === 'client_error'
+            ? new BackendError('auth', backendError.message, { status: backendError.status, cause: error })
+            : backendError;
+        metrics.observeBackend('/login', Date.now() - startedAt, failure.type);
+        logger.error('Authentication failed', { principal: email, errorType: failure.type, error: failure.message });
+        throw failure;
     }
 }
 
 /**
- * Make authenticated request to backend
+ * Make authenticated request to backend, served from the response cache when possible
  */
 async function makeBackendRequest(endpoint, params = {}) {
-    const token = await getAuthToken();
-    
+    const { value, status } = await responseCache.fetch(
+        await scopedCacheKey(cacheKey(endpoint, params)),
+        () => fetchFromBackend(endpoint, params)
+    );
+
+    const context = callContext.getStore();
+    if (context) {
+        context.cache[status === 'hit' ? 'hits' : status === 'coalesced' ? 'coalesced' : 'misses']++;
+    }
+    return value;
+}
+
+/**
+ * Fetch an endpoint from the backend, bypassing the cache
+ *
+ * Runs as the current session's backend user. A 401 means the cached token
+ * was revoked or expired early: it is discarded and the request retried once
+ * with a fresh login (a token supplied by the client cannot be renewed).
+ */
+async function fetchFromBackend(endpoint, params) {
+    const session = currentBackendSession();
+    const token = await getAuthToken(session);
+
+    try {
+        return await fetchWithToken(endpoint, params, token);
+    } catch (error) {
+        if (error.status !== 401) {
+            throw error;
+        }
+        if (session.invalidate(token)) {
+            logger.warn('Token rejected by backend, discarding it', { principal: session.principal });
+        }
+        return fetchWithToken(endpoint, params, await getAuthToken(session));
+    }
+}
+
+/**
+ * Headers identifying the current tool call to the backend
+ */
+function correlationHeaders() {
+    const correlationId = callContext.getStore()?.correlationId;
+    return correlationId ? { [CORRELATION_ID_HEADER]: correlationId } : {};
+}
+
+/**
+ * GET an endpoint from the backend with the given token
+ */
+async function fetchWithToken(endpoint, params, token) {
+    const startedAt = Date.now();
     try {
-        const response = await axios.get(`${BACKEND_URL}${endpoint}`, {
+        // GETs are idempotent: retry transient failures (timeouts, network, 5xx)
+        const response = await circuitBreaker.execute(() => withRetry(() => axios.get(`${BACKEND_URL}${endpoint}`, {
             headers: {
-                'Authorization': `Bearer ${token}`
+                'Authorization': `Bearer ${token}`,
+                ...correlationHeaders()
             },
-            params
-        });
+            params,
+            timeout: BACKEND_TIMEOUT_MS
+        }), {
+            retries: BACKEND_RETRIES,
+            baseDelayMs: BACKEND_RETRY_BASE_MS,
+            onRetry: (error, attempt, delay) => {
+                metrics.countRetry(endpoint);
+                logger.warn('Retrying backend request', { endpoint, attempt, retries: BACKEND_RETRIES, delayMs: delay, error: error.message });
+            }
+        }));
+
+        const durationMs = Date.now() - startedAt;
+        metrics.observeBackend(endpoint, durationMs);
+        logger.debug('Backend request', { endpoint, durationMs });
         return response.data;
     } catch (error) {
-        console.error(`❌ Backend request failed: ${error.message}`);
-        throw new Error(`Backend request failed: ${error.message}`);
+        const backendError = toBackendError(error, 'Backend request failed');
+        metrics.observeBackend(endpoint, Date.now() - startedAt, backendError.type);
+        logger.error('Backend request failed', { endpoint, errorType: backendError.type, status: backendError.status, error: backendError.message });
+        throw backendError;
     }
 }
 
 /**
- * Search products by literal text (regex in name or code)
+ * Map a backend product record to the shape returned by the tools
  */
-async function searchProducts(query, limit = 10) {
-    try {
-        console.error(`🔍 Searching products: "${query}"`);
-        
-        // Try vector search first
-        let results = await makeBackendRequest('/api/supply/products/vector-search', {
-            query,
-            limit
-        });
+function normalizeProduct(product) {
+    return {
+        code: product.code,
+        name: product.name,
+        unit: product.unit,
+        estimatedPrice: product.priceEstimated,
+        description: product.description,
+        type: product.type,
+        family: product.family,
+        similarity: product.similarity || null
+    };
+}
 
-        // If no vector results, fall back to regular search
-        if (!results.success || results.totalFound === 0) {
-            console.error('📝 No vector results, trying regular search...');
-            
-            // Search by name (regex)
-            const nameResults = await makeBackendRequest('/api/supply/products', {
-                search: query,
-                limit
-            });
-
-            if (nameResults && nameResults.length > 0) {
-                results = {
-                    success: true,
-                    query,
-                    totalFound: nameResults.length,
-                    products: nameResults.map(product => ({
-                        code: product.code,
-                        name: product.name,
-                        unit: product.unit,
-                        estimatedPrice: product.priceEstimated,
-                        description: product.description,
-                        type: product.type,
-                        family: product.family
-                    }))
-                };
-            }
+/**
+ * Pick the structured filters (family, type, unit, price range) from tool arguments
+ */
+function pickFilters(args = {}) {
+    const filters = {};
+    for (const field of [...BACKEND_FILTERS, 'minPrice', 'maxPrice']) {
+        if (args[field] !== undefined && args[field] !== null && args[field] !== '') {
+            filters[field] = args[field];
         }
+    }
+    return filters;
+}
 
-        return {
-            success: true,
-            query,
-            totalFound: results.totalFound || 0,
-            products: (results.products || []).map(product => ({
-                code: product.code,
-                name: product.name,
-                unit: product.unit,
-                estimatedPrice: product.priceEstimated,
-                description: product.description,
-                type: product.type,
-                family: product.family,
-                similarity: product.similarity || null
-            }))
-        };
-    } catch (error) {
-        console.error('❌ Product search failed:', error.message);
-        return {
-            success: false,
-            error: error.message,
-            query,
-            totalFound: 0,
-            products: []
-        };
+/**
+ * Build the backend query params for the filters the backend supports
+ */
+function backendFilterParams(filters) {
+    return Object.fromEntries(
+        BACKEND_FILTERS.filter(field => filters[field] !== undefined).map(field => [field, filters[field]])
+    );
+}
+
+/**
+ * Check a normalized product against the filters (backend may ignore some of them)
+ */
+function matchesFilters(product, filters) {
+    for (const field of BACKEND_FILTERS) {
+        if (filters[field] !== undefined &&
+            String(product[field] ?? '').toLowerCase() !== String(filters[field]).toLowerCase()) {
+            return false;
+        }
+    }
+    if (filters.minPrice !== undefined && !(product.estimatedPrice >= filters.minPrice)) {
+        return false;
     }
+    if (filters.maxPrice !== undefined && !(product.estimatedPrice <= filters.maxPrice)) {
+        return false;
+    }
+    return true;
 }
 
 /**
- * Vector search for products using semantic similarity
+ * Number of results to request from the backend so `limit` survive local
+ * filtering, never more than CATALOG_SCAN_LIMIT
+ */
+function fetchLimitFor(limit, filters) {
+    if (Object.keys(filters).length === 0) {
+        return Math.min(limit, CATALOG_SCAN_LIMIT);
+    }
+    return Math.min(limit * FILTER_OVERFETCH_FACTOR, Math.max(MAX_FETCH_LIMIT, limit), CATALOG_SCAN_LIMIT);
+}
+
+/**
+ * Fetch until `limit` products pass the local filters or the backend runs out
+ *
+ * `fetchPage(fetchLimit)` returns the backend's raw products for a request
+ * limit; each round asks FILTER_OVERFETCH_FACTOR times more, up to
+ * CATALOG_SCAN_LIMIT. `exhausted` means the backend returned fewer than
+ * asked, so there is nothing past these products.
+ */
+async function fetchFiltered(fetchPage, limit, filters) {
+    let fetchLimit = fetchLimitFor(limit, filters);
+    for (;;) {
+        const raw = await fetchPage(fetchLimit);
+        const products = raw.filter(product => matchesFilters(normalizeProduct(product), filters));
+        const exhausted = raw.length < fetchLimit;
+        if (products.length >= limit || exhausted || fetchLimit >= CATALOG_SCAN_LIMIT) {
+            return { products, exhausted };
+        }
+        fetchLimit = Math.min(fetchLimit * FILTER_OVERFETCH_FACTOR, CATALOG_SCAN_LIMIT);
+    }
+}
+
+/**
+ * Encode the pagination state of a search into an opaque cursor
+ */
+function encodeCursor(scope, offset) {
+    return Buffer.from(JSON.stringify({ scope, offset })).toString('base64url');
+}
+
+/**
+ * Decode a cursor, returning its offset if it belongs to the same search scope
+ *
+ * Cursors are not signed, so the offset is bounded: pages past
+ * CATALOG_SCAN_LIMIT would need a backend request larger than any other.
  */
-async function vectorSearchProducts(query, limit = 10, threshold = 0.7) {
+function decodeCursor(cursor, scope) {
+    if (!cursor) {
+        return 0;
+    }
+
+    let state;
     try {
-        console.error(`🧠 Vector searching products: "${query}"`);
-        
+        state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new ToolError('INVALID_ARGUMENT', 'Invalid cursor', { field: 'cursor' });
+    }
+
+    if (!state || !Number.isInteger(state.offset) || state.offset < 0 || state.offset > CATALOG_SCAN_LIMIT) {
+        throw new ToolError('INVALID_ARGUMENT', 'Invalid cursor', { field: 'cursor' });
+    }
+    if (JSON.stringify(state.scope) !== JSON.stringify(scope)) {
+        throw new ToolError('INVALID_ARGUMENT', 'Cursor does not belong to this query; start again without a cursor', { field: 'cursor' });
+    }
+    return state.offset;
+}
+
+/**
+ * Slice one page out of a ranked window and build its pagination info
+ *
+ * There is more past the page when the window goes beyond it, or when the
+ * backend was not exhausted (it returned every result it was asked for); an
+ * empty page always ends the listing.
+ */
+function paginate(items, offset, limit, scope, exhausted = true) {
+    const page = items.slice(offset, offset + limit);
+    const hasMore = items.length > offset + limit || (!exhausted && page.length > 0);
+    return {
+        page,
+        pagination: {
+            offset,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(scope, offset + limit) : null
+        }
+    };
+}
+
+/**
+ * Fetch products matching the query literally (regex in name or code)
+ */
+async function fetchLiteralResults(query, limit, filters = {}) {
+    return fetchFiltered(async fetchLimit => {
+        const results = await makeBackendRequest('/api/supply/products', {
+            search: query,
+            limit: fetchLimit,
+            ...backendFilterParams(filters)
+        });
+        return Array.isArray(results) ? results : [];
+    }, limit, filters);
+}
+
+/**
+ * Fetch products matching the query semantically (embeddings)
+ */
+async function fetchSemanticResults(query, limit, filters = {}) {
+    return fetchFiltered(async fetchLimit => {
         const results = await makeBackendRequest('/api/supply/products/vector-search', {
             query,
-            limit,
-            threshold
+            limit: fetchLimit,
+            ...backendFilterParams(filters)
         });
+        return results && results.success ? (results.products || []) : [];
+    }, limit, filters);
+}
 
-        return {
-            success: results.success,
-            query,
-            totalFound: results.totalFound || 0,
-            threshold: results.threshold || threshold,
-            products: (results.products || []).map(product => ({
-                code: product.code,
-                name: product.name,
-                unit: product.unit,
-                estimatedPrice: product.priceEstimated,
-                description: product.description,
-                type: product.type,
-                family: product.family,
-                similarity: product.similarity || null
-            })),
-            cacheInfo: results.cacheInfo || null
-        };
-    } catch (error) {
-        console.error('❌ Vector search failed:', error.message);
-        return {
-            success: false,
-            error: error.message,
-            query,
-            totalFound: 0,
-            products: []
-        };
+/**
+ * Merge ranked result lists by product code using reciprocal rank fusion
+ */
+function fuseResults(rankedLists, limit) {
+    const merged = new Map();
+
+    for (const [source, products] of Object.entries(rankedLists)) {
+        products.forEach((product, index) => {
+            const rank = index + 1;
+            const key = String(product.code);
+
+            if (!merged.has(key)) {
+                merged.set(key, {
+                    ...normalizeProduct(product),
+                    sources: [],
+                    scores: {},
+                    fusionScore: 0
+                });
+            }
+
+            const entry = merged.get(key);
+            entry.sources.push(source);
+            entry.scores[source] = source === 'semantic'
+                ? { rank, similarity: product.similarity ?? null }
+                : { rank };
+            entry.fusionScore += 1 / (RRF_K + rank);
+            if (source === 'semantic' && product.similarity) {
+                entry.similarity = product.similarity;
+            }
+        });
     }
+
+    return [...merged.values()]
+        .sort((a, b) => b.fusionScore - a.fusionScore)
+        .slice(0, limit)
+        .map(entry => ({ ...entry, fusionScore: Number(entry.fusionScore.toFixed(6)) }));
 }
 
-// Create MCP server
-const server = new Server(
-    {
-        name: 'ulbra-supply-mcp',
-        version: '1.0.0',
-    },
-    {
-        capabilities: {
-            tools: {},
-        },
+/**
+ * Search products by literal text and/or semantic similarity
+ *
+ * In hybrid mode both backends are queried in parallel and merged with
+ * reciprocal rank fusion, so exact code or name matches are never lost.
+ */
+async function searchProducts(query, limit = 10, mode = 'hybrid', filters = {}, cursor = null) {
+    const scope = { tool: 'products.search', query, mode, filters };
+    const offset = decodeCursor(cursor, scope);
+    // Fetch one extra result past the page to know whether there is more
+    const windowSize = offset + limit + 1;
+
+    // The literal search matches catalog names as written (accents,
+    // abbreviations): only the semantic search gets the fully normalized query
+    const normalizedQuery = normalizeQuery(query, abbreviations);
+    const literalQuery = normalizeLiteralQuery(query);
+    logger.info('Searching products', { mode, query: normalizedQuery, literalQuery, offset });
+
+    const sources = {};
+    if (mode !== 'semantic') {
+        sources.literal = fetchLiteralResults(literalQuery, windowSize, filters);
+    }
+    if (mode !== 'literal') {
+        sources.semantic = fetchSemanticResults(normalizedQuery, windowSize, filters);
+    }
+
+    const settled = await Promise.allSettled(Object.values(sources));
+    const rankedLists = {};
+    const warnings = [];
+    let exhausted = true;
+
+    Object.keys(sources).forEach((source, index) => {
+        const outcome = settled[index];
+        if (outcome.status === 'fulfilled') {
+            rankedLists[source] = outcome.value.products;
+            exhausted = exhausted && outcome.value.exhausted;
+        } else {
+            logger.warn('Search source failed', { source, error: outcome.reason.message });
+            warnings.push(`${source} search failed: ${outcome.reason.message}`);
+        }
+    });
+
+    if (mode === 'hybrid') {
+        metrics.countSearch({ fallback: warnings.length > 0 });
+    }
+    if (Object.keys(rankedLists).length === 0) {
+        throw settled[0].reason;
     }
-);
 
-// List available tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+    const { page, pagination } = paginate(fuseResults(rankedLists, windowSize), offset, limit, scope, exhausted);
+
     return {
-        tools: [
-            {
-                name: 'products.search',
-                description: 'Search products by literal text (regex in name or code)',
-                inputSchema: {
-                    type: 'object',
-                    properties: {
-                        query: {
-                            type: 'string',
-                            description: 'Search query text'
-                        },
-                        limit: {
-                            type: 'number',
-                            description: 'Maximum number of results (default: 10)',
-                            default: 10
-                        }
-                    },
-                    required: ['query']
-                }
-            },
-            {
-                name: 'products.vectorSearch',
-                description: 'Search products using semantic similarity with embeddings',
-                inputSchema: {
-                    type: 'object',
-                    properties: {
-                        query: {
-                            type: 'string',
-                            description: 'Search query text for semantic search'
-                        },
-                        limit: {
-                            type: 'number',
-                            description: 'Maximum number of results (default: 10)',
-                            default: 10
-                        },
-                        threshold: {
-                            type: 'number',
-                            description: 'Similarity threshold (0-1, default: 0.7)',
-                            default: 0.7
-                        }
-                    },
-                    required: ['query']
-                }
-            }
-        ]
+        success: true,
+        query,
+        normalizedQuery,
+        ...(mode !== 'semantic' && { literalQuery }),
+        mode,
+        ...(Object.keys(filters).length > 0 && { filters }),
+        totalFound: page.length,
+        ...pagination,
+        sourceCounts: Object.fromEntries(
+            Object.entries(rankedLists).map(([source, list]) => [source, list.length])
+        ),
+        products: page,
+        ...(warnings.length > 0 && { warnings })
     };
-});
+}
 
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    const { name, arguments: args } = request.params;
+/**
+ * Vector search for products using semantic similarity
+ */
+async function vectorSearchProducts(query, limit = 10, threshold = DEFAULT_THRESHOLD, filters = {}, cursor = null) {
+    const scope = { tool: 'products.vectorSearch', query, threshold, filters };
+    const offset = decodeCursor(cursor, scope);
+    const windowSize = offset + limit + 1;
 
-    try {
-        switch (name) {
-            case 'products.search': {
-                const { query, limit = 10 } = args;
-                const result = await searchProducts(query, limit);
-                
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: JSON.stringify(result, null, 2)
-                        }
-                    ]
-                };
-            }
+    const normalizedQuery = normalizeQuery(query, abbreviations);
+    logger.info('Vector searching products', { query: normalizedQuery, offset });
+    
+    let results;
+    const { products, exhausted } = await fetchFiltered(async fetchLimit => {
+        results = await makeBackendRequest('/api/supply/products/vector-search', {
+            query: normalizedQuery,
+            limit: fetchLimit,
+            threshold,
+            ...backendFilterParams(filters)
+        });
+        return results.products || [];
+    }, windowSize, filters);
+    const { page, pagination } = paginate(products.map(normalizeProduct), offset, limit, scope, exhausted);
 
-            case 'products.vectorSearch': {
-                const { query, limit = 10, threshold = 0.7 } = args;
-                const result = await vectorSearchProducts(query, limit, threshold);
-                
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: JSON.stringify(result, null, 2)
-                        }
-                    ]
-                };
-            }
+    return {
+        success: results.success,
+        query,
+        normalizedQuery,
+        ...(Object.keys(filters).length > 0 && { filters }),
+        totalFound: page.length,
+        ...pagination,
+        threshold: results.threshold || threshold,
+        products: page,
+        cacheInfo: results.cacheInfo || null
+    };
+}
+
+/**
+ * Find substitutes for a product: semantic search on its name and description,
+ * excluding the product itself, optionally restricted to its family, unit or type
+ */
+async function findSimilarProducts(code, limit = 5, threshold = SIMILAR_THRESHOLD, same = {}) {
+    const lookup = await getProducts(code);
+    if (lookup.products.length === 0) {
+        throw new ToolError('NOT_FOUND', `Product not found: ${code}`, { field: 'code' });
+    }
 
-            default:
-                throw new Error(`Unknown tool: ${name}`);
+    const original = lookup.products[0];
+    const filters = {};
+    for (const field of ['family', 'unit', 'type']) {
+        if (same[field] && original[field]) {
+            filters[field] = original[field];
         }
+    }
+
+    const query = [original.name, original.description].filter(Boolean).join(' ');
+    logger.info('Finding similar products', { code: original.code });
+
+    // One extra result in case the product itself comes back
+    const search = await vectorSearchProducts(query, limit + 1, threshold, filters);
+
+    const priceOf = product => (typeof product.estimatedPrice === 'number' ? product.estimatedPrice : null);
+    const originalPrice = priceOf(original);
+
+    const alternatives = search.products
+        .filter(product => String(product.code) !== String(original.code))
+        .sort((a, b) => (b.similarity ?? 0) - (a.similarity ?? 0))
+        .slice(0, limit)
+        .map(product => {
+            const price = priceOf(product);
+            const difference = price !== null && originalPrice !== null
+                ? Math.round((price - originalPrice) * 100) / 100
+                : null;
+            return {
+                ...product,
+                priceDifference: difference,
+                priceDifferencePercent: difference !== null && originalPrice
+                    ? Math.round((difference / originalPrice) * 1000) / 10
+                    : null
+            };
+        });
+
+    return {
+        success: true,
+        original,
+        ...(Object.keys(filters).length > 0 && { filters }),
+        threshold,
+        totalFound: alternatives.length,
+        alternatives
+    };
+}
+
+/**
+ * Compare 2-5 products side by side
+ */
+async function compareProductCodes(codes) {
+    // getProducts looks each code up once, so a repeated one would leave fewer products than asked
+    if (new Set(codes.map(code => String(code).trim())).size < codes.length) {
+        throw new ToolError('INVALID_ARGUMENT', 'codes: must not repeat a product code', { field: 'codes' });
+    }
+
+    const lookup = await getProducts(codes);
+    if (lookup.products.length < 2) {
+        throw new ToolError('NOT_FOUND', `Need at least 2 products to compare; not found: ${lookup.notFound.join(', ')}`, { field: 'codes' });
+    }
+
+    logger.info('Comparing products', { codes: lookup.products.map(product => product.code) });
+    const comparison = compareProducts(lookup.products);
+
+    return {
+        success: true,
+        notFound: lookup.notFound,
+        ...comparison
+    };
+}
+
+/**
+ * Match one parsed list line against the catalog
+ */
+async function matchListLine(item, alternatives, threshold) {
+    let search;
+    try {
+        search = await searchProducts(item.description, alternatives + 1, 'hybrid');
     } catch (error) {
-        console.error(`❌ Tool execution failed: ${error.message}`);
-        return {
-            content: [
-                {
-                    type: 'text',
-                    text: JSON.stringify({
-                        success: false,
-                        error: error.message
-                    }, null, 2)
-                }
-            ],
-            isError: true
-        };
+        // One failed line should not fail the whole list
+        return { ...item, status: 'error', confidence: null, error: toToolError(error).toJSON(), match: null, alternatives: [] };
     }
-});
 
-// Start server
-async function main() {
-    const transport = new StdioServerTransport();
-    await server.connect(transport);
-    console.error('🚀 ULBRA Supply MCP Server started');
+    // The match is the best ranked result that clears the threshold. A literal
+    // hit alone says nothing about similarity, so it can only be an alternative,
+    // even when it ties with (and so ranks above) a semantic one
+    const best = search.products.find(product => product.similarity != null && product.similarity >= threshold);
+    const matched = best !== undefined;
+
+    let confidence = 'low';
+    if (matched) {
+        confidence = best.similarity >= MATCH_HIGH_CONFIDENCE || best.sources.length > 1 ? 'high' : 'medium';
+    }
+
+    const summarize = product => ({
+        code: product.code,
+        name: product.name,
+        unit: product.unit,
+        estimatedPrice: product.estimatedPrice,
+        similarity: product.similarity,
+        sources: product.sources
+    });
+
+    return {
+        ...item,
+        status: matched ? 'matched' : 'unmatched',
+        confidence,
+        match: matched ? summarize(best) : null,
+        alternatives: search.products.filter(product => product !== best).slice(0, alternatives).map(summarize)
+    };
+}
+
+/**
+ * Map a pasted shopping list (free text or CSV) to catalog codes
+ */
+async function matchProductList(text, alternatives = 3, threshold = DEFAULT_THRESHOLD) {
+    const items = parseItemList(text);
+    if (items.length === 0) {
+        throw new ToolError('INVALID_ARGUMENT', 'No items found in the list', { field: 'text' });
+    }
+    if (items.length > MATCH_MAX_LINES) {
+        throw new ToolError('INVALID_ARGUMENT', `List has ${items.length} items; the maximum is ${MATCH_MAX_LINES}`, { field: 'text' });
+    }
+
+    logger.info('Matching list', { items: items.length });
+    const lines = await mapWithConcurrency(items, MATCH_CONCURRENCY,
+        (item, index) => matchListLine({ line: index + 1, ...item }, alternatives, threshold));
+
+    const count = status => lines.filter(line => line.status === status).length;
+    return {
+        success: true,
+        totalLines: lines.length,
+        matched: count('matched'),
+        unmatched: count('unmatched'),
+        errors: count('error'),
+        threshold,
+        lines
+    };
+}
+
+/**
+ * Only the service account and the users in CACHE_ADMINS may manage the cache:
+ * its keys hold every user's queries, scoped by principal
+ */
+async function requireCacheAdmin() {
+    const session = currentBackendSession();
+    if (session === serviceSession) {
+        return;
+    }
+    await getVerifiedToken(session);
+    if (!CACHE_ADMINS.includes(session.principal)) {
+        throw new ToolError('FORBIDDEN', `${session.principal} may not manage the cache (service account and CACHE_ADMINS only)`);
+    }
+}
+
+/**
+ * Inspect or clear the response cache
+ */
+async function manageCache(action = 'inspect', prefix = '') {
+    await requireCacheAdmin();
+
+    switch (action) {
+        case 'inspect':
+            return {
+                success: true,
+                action,
+                stats: responseCache.stats(),
+                catalogStats: catalogCache.stats(),
+                entries: responseCache.list()
+            };
+        case 'clear': {
+            const removed = responseCache.clear(prefix) + (prefix ? 0 : catalogCache.clear());
+            logger.info('Cleared cache entries', { prefix, removed });
+            return {
+                success: true,
+                action,
+                removed,
+                stats: responseCache.stats(),
+                catalogStats: catalogCache.stats()
+            };
+        }
+        default:
+            throw new ToolError('INVALID_ARGUMENT', `Invalid cache action: ${action} (expected inspect, clear)`, { field: 'action' });
+    }
+}
+
+/**
+ * Backend search pattern matching exactly `text` (the search is a regex on
+ * name or code)
+ */
+function exactPattern(text) {
+    return `^${text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`;
+}
+
+/**
+ * Get products by exact code (single code or list of codes)
+ */
+async function getProducts(codes) {
+    const requested = [...new Set((Array.isArray(codes) ? codes : [codes]).map(code => String(code).trim()))]
+        .filter(code => code.length > 0);
+
+    logger.info('Getting products', { codes: requested });
+
+    const lookups = await Promise.all(requested.map(async (code) => {
+        // Anchored, so a short code found inside many others still comes back first
+        const results = await makeBackendRequest('/api/supply/products', {
+            search: exactPattern(code),
+            limit: CODE_LOOKUP_LIMIT
+        });
+        const match = (results || []).find(product => String(product.code) === code);
+        return { code, product: match ? normalizeProduct(match) : null };
+    }));
+
+    const products = lookups.filter(lookup => lookup.product).map(lookup => lookup.product);
+    const notFound = lookups.filter(lookup => !lookup.product).map(lookup => lookup.code);
+
+    return {
+        success: true,
+        requested,
+        totalFound: products.length,
+        products,
+        notFound
+    };
+}
+
+/**
+ * Fetch the products of a family, as { products, exhausted } (see fetchFiltered)
+ */
+async function fetchFamilyProducts(family, limit = FAMILY_RESOURCE_LIMIT) {
+    const filters = { family };
+    const { products, exhausted } = await fetchFiltered(async fetchLimit => {
+        const results = await makeBackendRequest('/api/supply/products', {
+            limit: fetchLimit,
+            ...backendFilterParams(filters)
+        });
+        return Array.isArray(results) ? results : [];
+    }, limit, filters);
+    return { products: products.map(normalizeProduct).slice(0, limit), exhausted };
+}
+
+/**
+ * Count catalog products per family and per type (cached for CATALOG_CACHE_TTL_MS)
+ *
+ * Scans the catalog straight from the backend so the raw product list is not
+ * kept in the response cache; only the counts are cached.
+ */
+async function getCatalogIndex() {
+    const { value } = await catalogCache.fetch(await scopedCacheKey('catalog-index'), async () => {
+        logger.info('Scanning catalog for families and types');
+        const results = await fetchFromBackend('/api/supply/products', { limit: CATALOG_SCAN_LIMIT });
+        const products = (Array.isArray(results) ? results : []).map(normalizeProduct);
+
+        const countBy = field => {
+            const counts = new Map();
+            for (const product of products) {
+                const key = product[field] || '(none)';
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+            return [...counts.entries()]
+                .map(([name, count]) => ({ name, count }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+        };
+
+        return {
+            scanned: products.length,
+            // Hitting the scan limit means the counts may be partial
+            truncated: products.length >= CATALOG_SCAN_LIMIT,
+            scannedAt: new Date().toISOString(),
+            families: countBy('family'),
+            types: countBy('type')
+        };
+    });
+    return value;
+}
+
+/**
+ * List catalog families or types with product counts
+ */
+async function listCatalogGroups(field) {
+    const index = await getCatalogIndex();
+    const groups = field === 'family' ? index.families : index.types;
+
+    return {
+        success: true,
+        totalFound: groups.length,
+        scanned: index.scanned,
+        truncated: index.truncated,
+        scannedAt: index.scannedAt,
+        [field === 'family' ? 'families' : 'types']: groups
+    };
+}
+
+/**
+ * Page through the products of a family
+ */
+async function browseFamily(family, limit = 20, cursor = null) {
+    const scope = { tool: 'catalog.browse', family };
+    const offset = decodeCursor(cursor, scope);
+    logger.info('Browsing family', { family, offset });
+
+    const { products, exhausted } = await fetchFamilyProducts(family, offset + limit + 1);
+    const { page, pagination } = paginate(products, offset, limit, scope, exhausted);
+
+    return {
+        success: true,
+        family,
+        totalFound: page.length,
+        ...pagination,
+        products: page
+    };
+}
+
+/**
+ * Render a product as markdown
+ */
+function productToMarkdown(product) {
+    const rows = [
+        ['Code', product.code],
+        ['Unit', product.unit],
+        ['Estimated price', product.estimatedPrice != null ? `R$ ${Number(product.estimatedPrice).toFixed(2)}` : '-'],
+        ['Type', product.type],
+        ['Family', product.family]
+    ];
+
+    return [
+        `# ${product.name}`,
+        '',
+        '| Field | Value |',
+        '|---|---|',
+        ...rows.map(([field, value]) => `| ${field} | ${value ?? '-'} |`),
+        '',
+        product.description || ''
+    ].join('\n').trimEnd() + '\n';
+}
+
+/**
+ * Render a family listing as markdown
+ */
+function familyToMarkdown(family, products) {
+    return [
+        `# ${family}`,
+        '',
+        `${products.length} products`,
+        '',
+        markdownTable(products, ['code', 'name', 'unit', 'estimatedPrice'])
+    ].join('\n') + '\n';
+}
+
+/**
+ * Parse a product:// or family:// resource URI (optional ?format=markdown)
+ */
+function parseResourceUri(uri) {
+    const match = /^(product|family):\/\/([^?]+)(?:\?(.*))?$/.exec(uri);
+    if (!match) {
+        throw new Error(`Unknown resource: ${uri}`);
+    }
+
+    const format = new URLSearchParams(match[3] || '').get('format') || 'json';
+    if (!['json', 'markdown'].includes(format)) {
+        throw new Error(`Invalid resource format: ${format} (expected json, markdown)`);
+    }
+
+    return { kind: match[1], id: decodeURIComponent(match[2]), format };
+}
+
+/**
+ * Read a product:// or family:// resource
+ */
+async function readResource(uri) {
+    const { kind, id, format } = parseResourceUri(uri);
+    let data;
+    let markdown;
+
+    if (kind === 'product') {
+        const result = await getProducts(id);
+        if (result.products.length === 0) {
+            throw new Error(`Product not found: ${id}`);
+        }
+        data = result.products[0];
+        markdown = () => productToMarkdown(data);
+    } else {
+        const { products } = await fetchFamilyProducts(id);
+        data = { family: id, totalFound: products.length, products };
+        markdown = () => familyToMarkdown(id, products);
+    }
+
+    return {
+        contents: [
+            format === 'markdown'
+                ? { uri, mimeType: 'text/markdown', text: markdown() }
+                : { uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }
+        ]
+    };
+}
+
+/**
+ * List one family:// resource per catalog family
+ */
+async function listResources() {
+    const { families } = await getCatalogIndex();
+
+    return {
+        resources: families.filter(family => family.name !== '(none)').map(family => ({
+            uri: `family://${encodeURIComponent(family.name)}`,
+            name: `Family ${family.name}`,
+            description: `Catalog products in family ${family.name} (${family.count})`,
+            mimeType: 'application/json'
+        }))
+    };
+}
+
+// Resource templates for catalog products and families
+const RESOURCE_TEMPLATES = [
+    {
+        uriTemplate: 'product://{code}',
+        name: 'Catalog product',
+        description: 'A catalog product by code, as JSON',
+        mimeType: 'application/json'
+    },
+    {
+        uriTemplate: 'product://{code}?format=markdown',
+        name: 'Catalog product (markdown)',
+        description: 'A catalog product by code, as markdown',
+        mimeType: 'text/markdown'
+    },
+    {
+        uriTemplate: 'family://{name}',
+        name: 'Catalog family',
+        description: 'Products of a catalog family, as JSON',
+        mimeType: 'application/json'
+    },
+    {
+        uriTemplate: 'family://{name}?format=markdown',
+        name: 'Catalog family (markdown)',
+        description: 'Products of a catalog family, as a markdown table',
+        mimeType: 'text/markdown'
+    }
+];
+
+/**
+ * Session id of the current tool call (stdio has a single, stable session)
+ */
+function currentSessionId() {
+    return callContext.getStore()?.sessionId || 'stdio';
+}
+
+/**
+ * Backend user a session acts as (null when it has no credentials, or the
+ * backend has not accepted them yet)
+ */
+function principalFor(sessionId) {
+    const session = userSessions.get(sessionId) || serviceSession;
+    return session && (session === serviceSession || session.verified) ? session.principal : null;
+}
+
+/**
+ * Make the session act as a backend user: email/password are checked by
+ * logging in right away, a token by one backend request; the token is then
+ * used until the backend rejects it
+ */
+async function loginUser({ email, password, token }) {
+    if (!token && !(email && password)) {
+        throw new ToolError('INVALID_ARGUMENT', 'Provide either token, or email and password', { field: email ? 'password' : 'email' });
+    }
+    if (token && (email || password)) {
+        throw new ToolError('INVALID_ARGUMENT', 'Provide either token, or email and password, not both', { field: 'token' });
+    }
+
+    const session = new BackendSession(token ? { token } : { email, password });
+    await getVerifiedToken(session);
+    userSessions.set(currentSessionId(), session);
+    logger.info('Session logged in', { principal: session.principal, method: token ? 'token' : 'password' });
+
+    return {
+        success: true,
+        principal: session.principal,
+        method: token ? 'token' : 'password',
+        validUntil: session.validUntil
+    };
+}
+
+/**
+ * Forget the session's own backend credentials
+ */
+function logoutUser() {
+    const sessionId = currentSessionId();
+    const session = userSessions.get(sessionId);
+    userSessions.delete(sessionId);
+
+    return {
+        success: true,
+        loggedOut: Boolean(session),
+        principal: session?.principal ?? null,
+        // What later calls run as: the service account, or nothing (AUTH_REQUIRED)
+        actingAs: serviceSession?.principal ?? null
+    };
+}
+
+/**
+ * Backend user owning the current session's requisition drafts, once the
+ * backend accepted their credentials (drafts follow the user across sessions)
+ */
+async function requisitionOwner() {
+    const session = currentBackendSession();
+    if (session !== serviceSession) {
+        await getVerifiedToken(session);
+    }
+    return session.principal;
+}
+
+/**
+ * Create a requisition draft and make it the owner's current one
+ */
+async function createRequisition(title) {
+    const requisition = await requisitionStore.create(await requisitionOwner(), title);
+    logger.info('Created requisition', { requisitionId: requisition.id });
+    return { success: true, requisition: summarizeRequisition(requisition) };
+}
+
+/**
+ * Add a catalog product to a requisition draft
+ */
+async function addRequisitionItem(requisitionId, code, quantity = 1) {
+    // Fail on a missing draft before looking the product up
+    const owner = await requisitionOwner();
+    await requisitionStore.get(owner, requisitionId);
+
+    const lookup = await getProducts(code);
+    if (lookup.products.length === 0) {
+        throw new ToolError('NOT_FOUND', `Product not found: ${code}`, { field: 'code' });
+    }
+
+    const requisition = await requisitionStore.addItem(owner, requisitionId, lookup.products[0], quantity);
+    return { success: true, requisition: summarizeRequisition(requisition) };
+}
+
+async function removeRequisitionItem(requisitionId, code) {
+    const requisition = await requisitionStore.removeItem(await requisitionOwner(), requisitionId, code);
+    return { success: true, requisition: summarizeRequisition(requisition) };
+}
+
+async function setRequisitionQuantity(requisitionId, code, quantity) {
+    const requisition = await requisitionStore.setQuantity(await requisitionOwner(), requisitionId, code, quantity);
+    return { success: true, requisition: summarizeRequisition(requisition) };
+}
+
+async function requisitionSummary(requisitionId) {
+    const requisition = await requisitionStore.get(await requisitionOwner(), requisitionId);
+    return { success: true, requisition: summarizeRequisition(requisition) };
+}
+
+// Requisition to act on: defaults to the backend user's current draft
+const REQUISITION_ID_PROPERTY = {
+    type: 'string',
+    description: 'Requisition id (default: the current requisition of the backend user this session acts as)'
+};
+
+// Optional structured filters shared by the search tools
+const FILTER_PROPERTIES = {
+    family: {
+        type: 'string',
+        description: 'Only products of this family (e.g. MATERIAL HOSPITALAR)'
+    },
+    type: {
+        type: 'string',
+        description: 'Only products of this type (e.g. Produto)'
+    },
+    unit: {
+        type: 'string',
+        description: 'Only products sold by this unit (e.g. UNIDADE)'
+    },
+    minPrice: {
+        type: 'number',
+        minimum: 0,
+        description: 'Minimum estimated price'
+    },
+    maxPrice: {
+        type: 'number',
+        minimum: 0,
+        description: 'Maximum estimated price'
+    }
+};
+
+// Pagination cursor shared by the search tools
+const CURSOR_PROPERTY = {
+    type: 'string',
+    description: 'Opaque cursor from a previous response (nextCursor) to fetch the next page of the same query'
+};
+
+// Available tools
+const TOOLS = [
+    {
+        name: 'products.search',
+        description: 'Search products by literal text (regex in name or code) and/or semantic similarity, merged with reciprocal rank fusion',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                query: {
+                    type: 'string',
+                    minLength: 1,
+                    description: 'Search query text'
+                },
+                limit: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: MAX_RESULT_LIMIT,
+                    description: 'Maximum number of results (default: 10)',
+                    default: 10
+                },
+                mode: {
+                    type: 'string',
+                    enum: SEARCH_MODES,
+                    description: 'literal (regex only), semantic (embeddings only) or hybrid (both, fused by rank; default)',
+                    default: 'hybrid'
+                },
+                ...FILTER_PROPERTIES,
+                cursor: CURSOR_PROPERTY
+            },
+            required: ['query']
+        }
+    },
+    {
+        name: 'products.vectorSearch',
+        description: 'Search products using semantic similarity with embeddings',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                query: {
+                    type: 'string',
+                    minLength: 1,
+                    description: 'Search query text for semantic search'
+                },
+                limit: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: MAX_RESULT_LIMIT,
+                    description: 'Maximum number of results (default: 10)',
+                    default: 10
+                },
+                threshold: {
+                    type: 'number',
+                    minimum: 0,
+                    maximum: 1,
+                    description: `Similarity threshold (0-1, default: ${DEFAULT_THRESHOLD})`,
+                    default: DEFAULT_THRESHOLD
+                },
+                ...FILTER_PROPERTIES,
+                cursor: CURSOR_PROPERTY
+            },
+            required: ['query']
+        }
+    },
+    {
+        name: 'products.get',
+        description: 'Get products by exact code (single code or list of codes), reporting codes not found',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                code: {
+                    oneOf: [
+                        { type: ['string', 'number'], minLength: 1 },
+                        { type: 'array', items: { type: ['string', 'number'], minLength: 1 }, minItems: 1, maxItems: MAX_RESULT_LIMIT }
+                    ],
+                    description: 'Product code or list of product codes'
+                }
+            },
+            required: ['code']
+        }
+    },
+    {
+        name: 'products.similar',
+        description: 'Find substitutes for a product code: semantic search on its name and description, excluding itself, with each alternative\'s price difference from the original',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                code: {
+                    type: ['string', 'number'],
+                    minLength: 1,
+                    description: 'Code of the original product'
+                },
+                limit: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: MAX_RESULT_LIMIT,
+                    description: 'Maximum number of alternatives (default: 5)',
+                    default: 5
+                },
+                threshold: {
+                    type: 'number',
+                    minimum: 0,
+                    maximum: 1,
+                    description: `Similarity threshold (0-1, default: ${SIMILAR_THRESHOLD})`,
+                    default: SIMILAR_THRESHOLD
+                },
+                sameFamily: {
+                    type: 'boolean',
+                    description: 'Only alternatives in the same family as the original',
+                    default: false
+                },
+                sameUnit: {
+                    type: 'boolean',
+                    description: 'Only alternatives sold by the same unit as the original',
+                    default: false
+                },
+                sameType: {
+                    type: 'boolean',
+                    description: 'Only alternatives of the same type as the original',
+                    default: false
+                }
+            },
+            required: ['code']
+        }
+    },
+    {
+        name: 'products.compare',
+        description: 'Compare 2-5 products side by side: unit, estimated price, family, type, description differences and unit price when the pack size is in the name (e.g. CX C/100)',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                codes: {
+                    type: 'array',
+                    items: { type: ['string', 'number'], minLength: 1 },
+                    minItems: 2,
+                    maxItems: 5,
+                    description: 'Distinct product codes to compare'
+                }
+            },
+            required: ['codes']
+        }
+    },
+    {
+        name: 'products.matchList',
+        description: 'Match a pasted shopping list (one item per line, comma separated, or CSV with a header) to catalog products, parsing quantity and unit per line',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                text: {
+                    type: 'string',
+                    minLength: 1,
+                    description: 'List text, e.g. "2 cx luva M, 10 seringa 5ml, álcool 70% 1L" or CSV with quantidade;unidade;descricao columns'
+                },
+                alternatives: {
+                    type: 'integer',
+                    minimum: 0,
+                    maximum: 10,
+                    description: 'Alternatives to return per line besides the best match (default: 3)',
+                    default: 3
+                },
+                threshold: {
+                    type: 'number',
+                    minimum: 0,
+                    maximum: 1,
+                    description: `Minimum similarity (0-1) for a line to count as matched (default: ${DEFAULT_THRESHOLD})`,
+                    default: DEFAULT_THRESHOLD
+                }
+            },
+            required: ['text']
+        }
+    },
+    {
+        name: 'catalog.listFamilies',
+        description: 'List catalog product families with the number of products in each',
+        inputSchema: {
+            type: 'object',
+            properties: {}
+        }
+    },
+    {
+        name: 'catalog.listTypes',
+        description: 'List catalog product types with the number of products in each',
+        inputSchema: {
+            type: 'object',
+            properties: {}
+        }
+    },
+    {
+        name: 'catalog.browse',
+        description: 'Page through the products of a catalog family',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                family: {
+                    type: 'string',
+                    minLength: 1,
+                    description: 'Family name, as returned by catalog.listFamilies'
+                },
+                limit: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: MAX_RESULT_LIMIT,
+                    description: 'Products per page (default: 20)',
+                    default: 20
+                },
+                cursor: CURSOR_PROPERTY
+            },
+            required: ['family']
+        }
+    },
+    {
+        name: 'admin.cache',
+        description: 'Inspect or clear the server response cache',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                action: {
+                    type: 'string',
+                    enum: ['inspect', 'clear'],
+                    description: 'inspect (stats and cached keys; default) or clear',
+                    default: 'inspect'
+                },
+                prefix: {
+                    type: 'string',
+                    description: 'Only clear keys starting with this prefix (e.g. /api/supply/products/vector-search)'
+                }
+            }
+        }
+    },
+    {
+        name: 'auth.login',
+        description: 'Run this session\'s backend calls as your own backend user, so the backend applies your permissions: pass your email and password, or a backend token',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                email: {
+                    type: 'string',
+                    minLength: 1,
+                    description: 'Backend user email'
+                },
+                password: {
+                    type: 'string',
+                    minLength: 1,
+                    description: 'Backend user password'
+                },
+                token: {
+                    type: 'string',
+                    minLength: 1,
+                    description: 'Backend token to use instead of email and password'
+                }
+            }
+        }
+    },
+    {
+        name: 'auth.logout',
+        description: 'Forget this session\'s backend credentials',
+        inputSchema: {
+            type: 'object',
+            properties: {}
+        }
+    },
+    {
+        name: 'server.stats',
+        description: 'Server metrics since startup: calls, errors and latency per tool and backend endpoint, search fallback rate, logins and token refreshes, cache and circuit breaker state',
+        inputSchema: {
+            type: 'object',
+            properties: {}
+        }
+    },
+    {
+        name: 'requisition.create',
+        description: 'Create a purchase requisition draft, owned by the backend user this session acts as, and make it their current one',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                title: {
+                    type: 'string',
+                    description: 'Optional title for the requisition'
+                }
+            }
+        }
+    },
+    {
+        name: 'requisition.addItem',
+        description: 'Add a catalog product (by code) to a requisition draft; adding an existing item sums the quantities',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                requisitionId: REQUISITION_ID_PROPERTY,
+                code: {
+                    type: ['string', 'number'],
+                    minLength: 1,
+                    description: 'Product code'
+                },
+                quantity: {
+                    type: 'number',
+                    exclusiveMinimum: 0,
+                    description: 'Quantity to add (default: 1)',
+                    default: 1
+                }
+            },
+            required: ['code']
+        }
+    },
+    {
+        name: 'requisition.removeItem',
+        description: 'Remove a product from a requisition draft',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                requisitionId: REQUISITION_ID_PROPERTY,
+                code: {
+                    type: ['string', 'number'],
+                    minLength: 1,
+                    description: 'Product code'
+                }
+            },
+            required: ['code']
+        }
+    },
+    {
+        name: 'requisition.setQuantity',
+        description: 'Set the quantity of a product in a requisition draft (0 removes it)',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                requisitionId: REQUISITION_ID_PROPERTY,
+                code: {
+                    type: ['string', 'number'],
+                    minLength: 1,
+                    description: 'Product code'
+                },
+                quantity: {
+                    type: 'number',
+                    minimum: 0,
+                    description: 'New quantity'
+                }
+            },
+            required: ['code', 'quantity']
+        }
+    },
+    {
+        name: 'requisition.summary',
+        description: 'Summarize a requisition draft with line totals and the grand total',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                requisitionId: REQUISITION_ID_PROPERTY
+            }
+        }
+    },
+    {
+        name: 'requisition.export',
+        description: 'Export a requisition draft as CSV or JSON for upload into the supply system',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                requisitionId: REQUISITION_ID_PROPERTY,
+                format: {
+                    type: 'string',
+                    enum: ['csv', 'json'],
+                    description: 'Export format: csv (one line per item; default) or json',
+                    default: 'csv'
+                }
+            }
+        }
+    }
+].map(withOutputOptions).map(withOutputSchema);
+
+const TOOLS_BY_NAME = new Map(TOOLS.map(tool => [tool.name, tool]));
+
+// Tools whose output defaults to a format other than json
+const DEFAULT_OUTPUT_FORMATS = {
+    'requisition.export': 'csv'
+};
+
+// Tools with a markdown layout of their own
+const MARKDOWN_RENDERERS = {
+    'products.compare': comparisonToMarkdown
+};
+
+// Metrics label of calls to tools that do not exist, so made-up names cannot grow the series without bound
+const UNKNOWN_TOOL_LABEL = '(unknown)';
+
+/**
+ * Record a finished tool call in the metrics and the audit log: what was
+ * asked, how many records came back, the top product codes and how long it
+ * took (never fails the call)
+ */
+function recordToolCall({ name, args, sessionId, correlationId, startedAt, result = null, error = null }) {
+    const latencyMs = Date.now() - startedAt;
+    metrics.observeTool(TOOLS_BY_NAME.has(name) ? name : UNKNOWN_TOOL_LABEL, latencyMs, error ? error.code : 'ok');
+
+    const { resultCount, topCodes } = result
+        ? summarizeResult(result, AUDIT_TOP_CODES)
+        : { resultCount: null, topCodes: [] };
+
+    auditLog.record({
+        timestamp: new Date(startedAt).toISOString(),
+        sessionId,
+        principal: principalFor(sessionId),
+        correlationId,
+        tool: name,
+        arguments: args,
+        success: !error,
+        resultCount,
+        topCodes,
+        latencyMs,
+        errorClass: error ? error.code : null
+    }).catch(writeError => {
+        logger.warn('Failed to write audit log', { error: writeError.message });
+    });
+}
+
+/**
+ * Handle a tools/call request
+ *
+ * Arguments are checked against the tool's input schema before it runs, and
+ * the result against its output schema before it is sent: violations are
+ * logged and listed in `warnings`, never fatal, and each offending value is
+ * replaced by null, so `structuredContent` (the full result) always matches the
+ * declared schema: clients reject a result with an output schema that lacks it
+ * or breaks it. The text content is its rendering in the requested format.
+ * Failures come back as { success: false, error: { code, field, message } }.
+ * Each call gets a correlation id, sent to the backend and added to its logs.
+ */
+async function handleToolCall(request, sessionId) {
+    const { name, arguments: rawArgs = {} } = request.params;
+    const correlationId = randomUUID();
+    const context = { sessionId, correlationId, tool: name, cache: { hits: 0, misses: 0, coalesced: 0 } };
+    const startedAt = Date.now();
+    const record = fields => recordToolCall({ name, args: rawArgs, sessionId, correlationId, startedAt, ...fields });
+
+    try {
+        const tool = TOOLS_BY_NAME.get(name);
+        if (!tool) {
+            throw new ToolError('UNKNOWN_TOOL', `Unknown tool: ${name}`, { field: 'name' });
+        }
+
+        const { args, adjustments } = validateArguments(tool.inputSchema, rawArgs);
+        const { format = DEFAULT_OUTPUT_FORMATS[name] || 'json', fields } = args;
+        const result = await callContext.run(context, () => executeTool(name, args));
+
+        const { value: { cache, ...conformed }, violations } = validateResult(tool.outputSchema, { ...result, cache: context.cache });
+        if (violations.length > 0) {
+            logger.warn('Result does not match its output schema', { correlationId, tool: name, violations });
+        }
+        const warnings = [
+            ...(result.warnings || []),
+            ...adjustments,
+            ...violations.map(violation => `Output schema violation: ${violation} (sent as null)`)
+        ];
+
+        const structuredContent = {
+            ...conformed,
+            ...(warnings.length > 0 && { warnings }),
+            cache
+        };
+        const text = renderResult(structuredContent, {
+            format,
+            fields,
+            markdown: MARKDOWN_RENDERERS[name]
+        });
+        // Recorded only once rendered, so a render failure is recorded once, as a failure
+        record({ result });
+
+        return {
+            content: [{ type: 'text', text }],
+            structuredContent
+        };
+    } catch (error) {
+        const toolError = toToolError(error);
+        logger.error('Tool failed', { correlationId, tool: name, code: toolError.code, error: toolError.message });
+        record({ error: toolError });
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: JSON.stringify({ success: false, error: toolError }, null, 2)
+                }
+            ],
+            isError: true
+        };
+    }
+}
+
+/**
+ * Run a tool by name and return its result object
+ */
+async function executeTool(name, args) {
+    switch (name) {
+        case 'products.search': {
+            const { query, limit = 10, mode = 'hybrid', cursor } = args;
+            return searchProducts(query, limit, mode, pickFilters(args), cursor);
+        }
+
+        case 'products.vectorSearch': {
+            const { query, limit = 10, threshold = DEFAULT_THRESHOLD, cursor } = args;
+            return vectorSearchProducts(query, limit, threshold, pickFilters(args), cursor);
+        }
+
+        case 'products.get': {
+            const { code } = args;
+            return getProducts(code);
+        }
+
+        case 'products.similar': {
+            const { code, limit = 5, threshold = SIMILAR_THRESHOLD, sameFamily = false, sameUnit = false, sameType = false } = args;
+            return findSimilarProducts(code, limit, threshold, { family: sameFamily, unit: sameUnit, type: sameType });
+        }
+
+        case 'products.compare':
+            return compareProductCodes(args.codes);
+
+        case 'products.matchList': {
+            const { text, alternatives = 3, threshold = DEFAULT_THRESHOLD } = args;
+            return matchProductList(text, alternatives, threshold);
+        }
+
+        case 'catalog.listFamilies':
+            return listCatalogGroups('family');
+
+        case 'catalog.listTypes':
+            return listCatalogGroups('type');
+
+        case 'catalog.browse': {
+            const { family, limit = 20, cursor } = args;
+            return browseFamily(family, limit, cursor);
+        }
+
+        case 'admin.cache': {
+            const { action = 'inspect', prefix } = args;
+            return manageCache(action, prefix);
+        }
+
+        case 'auth.login':
+            return loginUser(args);
+
+        case 'auth.logout':
+            return logoutUser();
+
+        case 'server.stats':
+            return {
+                success: true,
+                ...metrics.snapshot({
+                    userSessions: userSessions.size,
+                    cacheStats: responseCache.stats(),
+                    catalogStats: catalogCache.stats(),
+                    circuitBreaker: circuitBreaker.stats()
+                })
+            };
+
+        case 'requisition.create':
+            return createRequisition(args.title);
+
+        case 'requisition.addItem': {
+            const { requisitionId, code, quantity = 1 } = args;
+            return addRequisitionItem(requisitionId, code, quantity);
+        }
+
+        case 'requisition.removeItem': {
+            const { requisitionId, code } = args;
+            return removeRequisitionItem(requisitionId, code);
+        }
+
+        case 'requisition.setQuantity': {
+            const { requisitionId, code, quantity } = args;
+            return setRequisitionQuantity(requisitionId, code, quantity);
+        }
+
+        case 'requisition.summary':
+            return requisitionSummary(args.requisitionId);
+
+        // Same result as the summary; the export is its rendering (CSV by default)
+        case 'requisition.export':
+            return requisitionSummary(args.requisitionId);
+
+        default:
+            throw new ToolError('UNKNOWN_TOOL', `Unknown tool: ${name}`, { field: 'name' });
+    }
+}
+
+/**
+ * Create an MCP server instance (one per stdio process or per HTTP session)
+ *
+ * `credentials` ({ token } or { email, password }) make the session act as
+ * that backend user from the start, as auth.login would.
+ */
+function createServer({ sessionId = 'stdio', credentials = null } = {}) {
+    if (credentials) {
+        userSessions.set(sessionId, new BackendSession(credentials));
+    }
+    // Resource reads hit the backend too: run them as the session's user
+    const inSession = handler => request => callContext.run(
+        { sessionId, correlationId: randomUUID(), cache: { hits: 0, misses: 0, coalesced: 0 } },
+        () => handler(request)
+    );
+
+    const server = new Server(
+        {
+            name: 'ulbra-supply-mcp',
+            version: '1.0.0',
+        },
+        {
+            capabilities: {
+                tools: {},
+                resources: {},
+                prompts: {},
+            },
+        }
+    );
+
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: TOOLS }));
+    server.setRequestHandler(CallToolRequestSchema, (request) => handleToolCall(request, sessionId));
+    server.setRequestHandler(ListResourcesRequestSchema, inSession(listResources));
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates: RESOURCE_TEMPLATES }));
+    server.setRequestHandler(ReadResourceRequestSchema, inSession((request) => readResource(request.params.uri)));
+    server.setRequestHandler(ListPromptsRequestSchema, () => listPrompts(PROMPTS_FILE));
+    server.setRequestHandler(GetPromptRequestSchema, (request) => getPrompt(PROMPTS_FILE, request.params.name, request.params.arguments));
+
+    return server;
+}
+
+/**
+ * Parse command line flags: --transport <stdio|http>, --http, --port <n>, --host <h>
+ */
+function parseCliArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split('=', 2);
+        const value = () => inlineValue ?? argv[++i];
+
+        switch (flag) {
+            case '--http':
+                options.transport = 'http';
+                break;
+            case '--stdio':
+                options.transport = 'stdio';
+                break;
+            case '--transport':
+                options.transport = value();
+                break;
+            case '--port':
+                options.port = parseInt(value(), 10);
+                break;
+            case '--host':
+                options.host = value();
+                break;
+            case '--config':
+                options.config = value();
+                break;
+            case '--profile':
+                options.profile = value();
+                break;
+            case '--check-config':
+                options.checkConfig = true;
+                break;
+        }
+    }
+    return options;
+}
+
+/**
+ * Load the configuration (--config/--profile override CONFIG_FILE/CONFIG_PROFILE)
+ *
+ * Exits on an invalid configuration instead of starting half-configured;
+ * with --check-config, prints the resolved settings (secrets masked) and exits.
+ */
+function resolveConfig(options) {
+    let resolved;
+    try {
+        resolved = loadConfig({
+            ...(options.config && { file: options.config }),
+            ...(options.profile && { profile: options.profile })
+        });
+    } catch (error) {
+        if (!(error instanceof ConfigError)) {
+            throw error;
+        }
+        if (options.checkConfig) {
+            console.error(error.message);
+        } else {
+            logger.error('Invalid configuration', { errors: error.errors });
+        }
+        process.exit(1);
+    }
+
+    if (options.checkConfig) {
+        console.log(describeConfig(resolved));
+        process.exit(0);
+    }
+    return resolved;
+}
+
+/**
+ * Close everything on SIGINT/SIGTERM, forcing exit if it takes too long
+ */
+function registerShutdown(close) {
+    let shuttingDown = false;
+
+    const shutdown = async (signal) => {
+        if (shuttingDown) {
+            return;
+        }
+        shuttingDown = true;
+        logger.info('Shutting down', { signal });
+
+        setTimeout(() => {
+            logger.error('Shutdown timed out, exiting');
+            process.exit(1);
+        }, SHUTDOWN_TIMEOUT_MS).unref();
+
+        try {
+            await close();
+            await auditLog.flush();
+            process.exit(0);
+        } catch (error) {
+            logger.error('Shutdown failed', { error: error.message });
+            process.exit(1);
+        }
+    };
+
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+/**
+ * Serve the metrics in the Prometheus text format when METRICS_PORT is set
+ */
+async function startMetrics() {
+    if (METRICS_PORT === null) {
+        return null;
+    }
+    return startMetricsServer({
+        port: METRICS_PORT,
+        host: METRICS_HOST,
+        render: () => metrics.toPrometheus({
+            cache_entries: { help: 'Entries in the response cache', value: responseCache.stats().size },
+            circuit_breaker_open: { help: 'Whether the backend circuit breaker is open', value: circuitBreaker.stats().state === 'open' ? 1 : 0 }
+        })
+    });
+}
+
+// Start server
+async function main() {
+    const transport = cli.transport || MCP_TRANSPORT;
+    const metricsServer = await startMetrics();
+    const closeAll = close => async () => {
+        await close();
+        await metricsServer?.close();
+    };
+
+    if (transport === 'http') {
+        const httpServer = await startHttpServer({
+            createServer,
+            port: cli.port || MCP_HTTP_PORT,
+            host: cli.host || MCP_HTTP_HOST,
+            tokens: MCP_HTTP_TOKENS,
+            health: () => ({ circuitBreaker: circuitBreaker.stats() }),
+            onSessionClosed: sessionId => userSessions.delete(sessionId)
+        });
+        registerShutdown(closeAll(() => httpServer.close()));
+        return;
+    }
+
+    if (transport !== 'stdio') {
+        throw new Error(`Unknown transport: ${transport} (expected stdio or http)`);
+    }
+
+    const server = createServer();
+    await server.connect(new StdioServerTransport());
+    registerShutdown(closeAll(() => server.close()));
+    logger.info('ULBRA Supply MCP Server started', { transport });
 }
 
 main().catch((error) => {
-    console.error('❌ Server failed to start:', error);
+    logger.error('Server failed to start', { error });
     process.exit(1);
 });
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { isRedacted, summarizeResult } from './src/audit.js';
+
+const SERVER = fileURLToPath(new URL('./index.js', import.meta.url));
+const DEFAULT_LOG = fileURLToPath(new URL('./logs/audit.jsonl', import.meta.url));
+
+// Read-only tools: replaying anything else (requisitions, cache) would change state
+const REPLAYABLE = /^(products|catalog)\./;
+
+function parseArgs(argv) {
+    const options = { file: DEFAULT_LOG, tools: null, top: 5, json: false };
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (arg === '--tools') {
+            options.tools = argv[++index].split(',').map(tool => tool.trim());
+        } else if (arg === '--top') {
+            options.top = parseInt(argv[++index], 10);
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--help' || arg === '-h') {
+            console.log('Usage: node replay-audit.js [audit.jsonl] [--tools products.search,...] [--top 5] [--json]');
+            process.exit(0);
+        } else {
+            options.file = arg;
+        }
+    }
+    return options;
+}
+
+/**
+ * Load the calls worth replaying: successful, read-only and not redacted,
+ * keeping the latest record of each distinct tool + arguments
+ */
+async function loadCalls(file, tools) {
+    const calls = new Map();
+    const lines = (await readFile(file, 'utf8')).split('\n').filter(line => line.trim());
+
+    for (const line of lines) {
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch {
+            continue;
+        }
+        if (!record.success || !REPLAYABLE.test(record.tool) || (tools && !tools.includes(record.tool))) {
+            continue;
+        }
+        if (isRedacted(record.arguments)) {
+            continue;
+        }
+        calls.set(`${record.tool} ${JSON.stringify(record.arguments)}`, record);
+    }
+    return [...calls.values()];
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const calls = await loadCalls(options.file, options.tools);
+    if (calls.length === 0) {
+        console.error(`No replayable calls in ${options.file}`);
+        return;
+    }
+
+    // Same configuration as a normal run, but without auditing the replay itself
+    const transport = new StdioClientTransport({
+        command: process.execPath,
+        args: [SERVER],
+        env: { ...process.env, AUDIT_LOG_FILE: '' },
+        stderr: 'ignore'
+    });
+    const client = new Client({ name: 'replay-audit', version: '1.0.0' }, { capabilities: {} });
+    await client.connect(transport);
+
+    const report = { replayed: calls.length, unchanged: 0, changed: [], failed: [] };
+    try {
+        for (const call of calls) {
+            const response = await client.callTool({ name: call.tool, arguments: call.arguments });
+            if (response.isError) {
+                report.failed.push({ tool: call.tool, arguments: call.arguments, error: JSON.parse(response.content[0].text).error });
+                continue;
+            }
+
+            const before = call.topCodes.slice(0, options.top);
+            // structuredContent is optional in MCP; the JSON text carries the same result
+            const result = response.structuredContent ?? JSON.parse(response.content[0].text);
+            const after = summarizeResult(result, options.top).topCodes;
+            if (JSON.stringify(before.map(String)) === JSON.stringify(after.map(String))) {
+                report.unchanged++;
+            } else {
+                report.changed.push({ tool: call.tool, arguments: call.arguments, loggedAt: call.timestamp, before, after });
+            }
+        }
+    } finally {
+        await client.close();
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(`🔁 Replayed ${report.replayed} calls: ${report.unchanged} unchanged, ${report.changed.length} changed, ${report.failed.length} failed`);
+        for (const change of report.changed) {
+            console.log(`\n⚠️ ${change.tool} ${JSON.stringify(change.arguments)} (logged ${change.loggedAt})`);
+            console.log(`   before: ${change.before.join(', ') || '(none)'}`);
+            console.log(`   after:  ${change.after.join(', ') || '(none)'}`);
+        }
+        for (const failure of report.failed) {
+            console.log(`\n❌ ${failure.tool} ${JSON.stringify(failure.arguments)}: ${failure.error.code} ${failure.error.message}`);
+        }
+    }
+
+    // Non-zero exit so the replay can gate a deploy
+    if (report.changed.length > 0 || report.failed.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Replay failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,112 @@
+import { appendFile, mkdir, rename, stat } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { findRecords } from './format.js';
+
+const REDACTED = '[REDACTED]';
+
+// Credential fields redacted whatever AUDIT_REDACT_FIELDS says (auth.login takes them)
+const ALWAYS_REDACTED = ['password', 'token'];
+
+/**
+ * Replace the values of the named fields (at any depth) with a placeholder
+ */
+export function redact(value, fields) {
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, fields));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+            key,
+            fields.has(key.toLowerCase()) ? REDACTED : redact(item, fields)
+        ]));
+    }
+    return value;
+}
+
+export function isRedacted(value) {
+    return JSON.stringify(value).includes(JSON.stringify(REDACTED));
+}
+
+/**
+ * Count a result's records and take the product codes of the first ones
+ * (a matched line counts with its match's code)
+ */
+export function summarizeResult(result, topCount = 5) {
+    const records = findRecords(result)?.records || [];
+    return {
+        resultCount: records.length,
+        topCodes: records
+            .map(record => record.code ?? record.match?.code)
+            .filter(code => code !== undefined && code !== null)
+            .slice(0, topCount)
+    };
+}
+
+/**
+ * Append-only JSONL log of tool calls, rotated by size
+ *
+ * When the file grows past maxBytes it is renamed to `<file>.1` (older
+ * files shift to .2, .3...) and at most maxFiles rotated files are kept.
+ * `redactFields` are redacted on top of the credential fields.
+ */
+export class AuditLog {
+    constructor({ file, maxBytes = 10 * 1024 * 1024, maxFiles = 5, redactFields = [] }) {
+        this.file = file;
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+        this.redactFields = new Set([...ALWAYS_REDACTED, ...redactFields].map(field => field.toLowerCase()));
+        this.writing = Promise.resolve();
+    }
+
+    get enabled() {
+        return Boolean(this.file);
+    }
+
+    /**
+     * Queue a record for writing (one write at a time, so rotation is safe)
+     */
+    record(entry) {
+        if (!this.enabled) {
+            return this.writing;
+        }
+
+        const line = JSON.stringify({ ...entry, arguments: redact(entry.arguments, this.redactFields) }) + '\n';
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            await mkdir(dirname(this.file), { recursive: true });
+            await this.rotateIfNeeded(Buffer.byteLength(line));
+            await appendFile(this.file, line);
+        });
+        return this.writing;
+    }
+
+    /**
+     * Wait for queued records to be written
+     */
+    flush() {
+        return this.writing.catch(() => {});
+    }
+
+    async rotateIfNeeded(incomingBytes) {
+        let size;
+        try {
+            ({ size } = await stat(this.file));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+        if (size === 0 || size + incomingBytes <= this.maxBytes) {
+            return;
+        }
+
+        for (let index = this.maxFiles - 1; index >= 1; index--) {
+            await rename(`${this.file}.${index}`, `${this.file}.${index + 1}`).catch(error => {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            });
+        }
+        await rename(this.file, `${this.file}.1`);
+    }
+}
@@ -0,0 +1,155 @@
+import { createHash } from 'node:crypto';
+
+// Token lifetime when a token obtained by login is not a JWT with an `exp` claim
+const DEFAULT_TOKEN_TTL_MS = 23 * 60 * 60 * 1000;
+// Renew tokens obtained by login this long before they actually expire, but
+// never more than this share of their remaining lifetime (short-lived tokens
+// would otherwise count as expired as soon as they are stored)
+const TOKEN_EXPIRY_SKEW_MS = 60 * 1000;
+const TOKEN_EXPIRY_SKEW_SHARE = 0.5;
+
+// HTTP transport headers carrying a user's own backend credentials
+export const CREDENTIAL_HEADERS = {
+    token: 'x-backend-token',
+    email: 'x-backend-email',
+    password: 'x-backend-password'
+};
+
+/**
+ * Read the claims of a JWT, or null if the token is not a JWT
+ */
+export function decodeToken(token) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Read the expiry (ms since epoch) from a JWT `exp` claim, or null if there is none
+ */
+export function decodeTokenExpiry(token) {
+    const claims = decodeToken(token);
+    return claims && typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+}
+
+/**
+ * Who a set of credentials claims to act as: the email, or for a bare token
+ * its email/sub claim or a short hash (nothing here checks a signature: only
+ * trust it once the backend accepted the credentials)
+ */
+export function principalOf({ email = null, token = null }) {
+    if (email) {
+        return email;
+    }
+    const claims = decodeToken(token);
+    const claimed = claims?.email || claims?.sub;
+    return claimed ? String(claimed) : `token:${createHash('sha256').update(String(token)).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * Backend credentials sent by an HTTP client (X-Backend-Token, or
+ * X-Backend-Email + X-Backend-Password), or null if there are none
+ */
+export function credentialsFromHeaders(headers) {
+    const token = headers[CREDENTIAL_HEADERS.token];
+    if (token) {
+        return { token: token.replace(/^Bearer\s+/i, '') };
+    }
+    const email = headers[CREDENTIAL_HEADERS.email];
+    const password = headers[CREDENTIAL_HEADERS.password];
+    return email && password ? { email, password } : null;
+}
+
+/**
+ * Backend credentials of one principal (the service account or a user) and
+ * its cached token
+ *
+ * With email/password it logs in on demand and again when the token expires
+ * or is rejected; concurrent callers share a single login. A token supplied
+ * by the client is used as is until it expires or is rejected.
+ *
+ * `verified` says the backend accepted these credentials (a login succeeded,
+ * or a request with the supplied token did), so `principal` can be trusted.
+ */
+export class BackendSession {
+    constructor({ email = null, password = null, token = null }) {
+        this.email = email;
+        this.password = password;
+        this.principal = principalOf({ email, token });
+        this.token = null;
+        this.expiry = null;
+        this.loginPromise = null;
+        this.rejected = false;
+        this.verified = false;
+
+        if (token) {
+            this.token = token;
+            this.expiry = decodeTokenExpiry(token);
+        }
+    }
+
+    get canLogin() {
+        return Boolean(this.email && this.password);
+    }
+
+    /**
+     * Get a valid token, logging in with `login(credentials, reason)` when needed
+     *
+     * Returns null when the session has no valid token and cannot log in.
+     */
+    async getToken(login) {
+        if (this.token && (this.expiry === null || Date.now() < this.expiry)) {
+            return this.token;
+        }
+        if (!this.canLogin) {
+            return null;
+        }
+
+        if (!this.loginPromise) {
+            const reason = this.rejected ? 'rejected' : this.token ? 'expired' : 'initial';
+            this.loginPromise = login({ email: this.email, password: this.password }, reason)
+                .then(token => this.setToken(token))
+                .finally(() => {
+                    this.loginPromise = null;
+                });
+        }
+        return this.loginPromise;
+    }
+
+    /**
+     * Cache a token obtained by login until shortly before it expires
+     */
+    setToken(token) {
+        const jwtExpiry = decodeTokenExpiry(token);
+        const skew = jwtExpiry ? Math.min(TOKEN_EXPIRY_SKEW_MS, Math.max(0, jwtExpiry - Date.now()) * TOKEN_EXPIRY_SKEW_SHARE) : 0;
+        this.token = token;
+        this.expiry = jwtExpiry ? jwtExpiry - skew : Date.now() + DEFAULT_TOKEN_TTL_MS;
+        this.rejected = false;
+        this.verified = true;
+        return token;
+    }
+
+    /**
+     * Drop the cached token if it is still the given (rejected) one
+     */
+    invalidate(token) {
+        if (this.token !== token) {
+            return false;
+        }
+        this.token = null;
+        this.expiry = null;
+        this.rejected = true;
+        return true;
+    }
+
+    get validUntil() {
+        return this.expiry ? new Date(this.expiry).toISOString() : null;
+    }
+}
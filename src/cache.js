@@ -0,0 +1,117 @@
+/**
+ * In-process LRU response cache with TTL and request coalescing
+ */
+export class ResponseCache {
+    constructor({ ttlMs = 5 * 60 * 1000, maxEntries = 500 } = {}) {
+        this.ttlMs = ttlMs;
+        this.maxEntries = maxEntries;
+        // Map keeps insertion order, so the first key is the least recently used
+        this.entries = new Map();
+        this.inFlight = new Map();
+        this.counters = { hits: 0, misses: 0, coalesced: 0, evictions: 0 };
+    }
+
+    get enabled() {
+        return this.ttlMs > 0 && this.maxEntries > 0;
+    }
+
+    /**
+     * Return the cached value for key or load it, sharing loads already in flight
+     *
+     * Resolves to { value, status } where status is hit, miss or coalesced.
+     */
+    async fetch(key, loader) {
+        const entry = this.entries.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+            this.counters.hits++;
+            return { value: entry.value, status: 'hit' };
+        }
+        if (entry) {
+            this.entries.delete(key);
+        }
+
+        if (this.inFlight.has(key)) {
+            this.counters.coalesced++;
+            return { value: await this.inFlight.get(key), status: 'coalesced' };
+        }
+
+        this.counters.misses++;
+        const pending = Promise.resolve().then(loader);
+        this.inFlight.set(key, pending);
+
+        try {
+            const value = await pending;
+            if (this.enabled) {
+                this.set(key, value);
+            }
+            return { value, status: 'miss' };
+        } finally {
+            this.inFlight.delete(key);
+        }
+    }
+
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, storedAt: Date.now(), expiresAt: Date.now() + this.ttlMs });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.counters.evictions++;
+        }
+    }
+
+    /**
+     * Drop all entries (or only those whose key starts with prefix), returning how many were removed
+     */
+    clear(prefix = '') {
+        let removed = 0;
+        for (const key of [...this.entries.keys()]) {
+            if (key.startsWith(prefix)) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    stats() {
+        return {
+            enabled: this.enabled,
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            ttlMs: this.ttlMs,
+            inFlight: this.inFlight.size,
+            ...this.counters
+        };
+    }
+
+    /**
+     * List cached keys from most to least recently used, with their age
+     */
+    list() {
+        const now = Date.now();
+        return [...this.entries.entries()].reverse().map(([key, entry]) => ({
+            key,
+            ageMs: now - entry.storedAt,
+            expiresInMs: Math.max(0, entry.expiresAt - now)
+        }));
+    }
+}
+
+/**
+ * Build a cache key from an endpoint and its params, ignoring key order and empty values
+ */
+export function cacheKey(endpoint, params = {}) {
+    const normalized = Object.keys(params)
+        .filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+        .sort()
+        .map(key => {
+            const value = typeof params[key] === 'string'
+                ? params[key].trim().replace(/\s+/g, ' ')
+                : params[key];
+            return `${key}=${JSON.stringify(value)}`;
+        });
+    return `${endpoint}?${normalized.join('&')}`;
+}
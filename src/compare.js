@@ -0,0 +1,111 @@
+import { markdownCell } from './format.js';
+import { foldAccents } from './normalize.js';
+
+// Pack sizes written in catalog names: "CX C/100", "PCT 50 UN", "C/ 12", "100 UNIDADES"
+const PACK_PATTERNS = [
+    /\bC\/\s*(\d+)\b/i,
+    /\b(?:CX|CAIXA|PCT|PACOTE|KIT|FARDO|EMB)\s*(?:COM\s*)?(\d+)\s*(?:UN|UND|UNID|UNIDADES)?\b/i,
+    /\b(\d+)\s*(?:UN|UND|UNID|UNIDADES)\b/i
+];
+
+// Fields aligned side by side in a comparison
+const COMPARED_FIELDS = ['unit', 'estimatedPrice', 'family', 'type', 'packSize', 'unitPrice'];
+
+/**
+ * Parse the number of units in a pack from a product name, or null
+ */
+export function parsePackSize(name) {
+    for (const pattern of PACK_PATTERNS) {
+        const match = pattern.exec(name || '');
+        if (match && Number(match[1]) > 1) {
+            return Number(match[1]);
+        }
+    }
+    return null;
+}
+
+function descriptionTerms(product) {
+    return new Set(
+        foldAccents(`${product.name || ''} ${product.description || ''}`)
+            .toUpperCase()
+            .split(/[^A-Z0-9%/,]+/)
+            .filter(term => term.length > 1)
+    );
+}
+
+/**
+ * Compare products side by side
+ *
+ * Returns each product with its pack size and unit price (when the pack size
+ * can be parsed from the name), which fields differ, the terms unique to each
+ * product's name/description and the cheapest options.
+ */
+export function compareProducts(products) {
+    const rows = products.map(product => {
+        const packSize = parsePackSize(product.name);
+        const price = typeof product.estimatedPrice === 'number' ? product.estimatedPrice : null;
+        return {
+            code: product.code,
+            name: product.name,
+            unit: product.unit,
+            estimatedPrice: price,
+            family: product.family,
+            type: product.type,
+            description: product.description,
+            packSize,
+            // Without a pack size the price may be per pair, box or unit: not comparable
+            unitPrice: price !== null && packSize !== null ? Math.round((price / packSize) * 10000) / 10000 : null
+        };
+    });
+
+    const fields = Object.fromEntries(COMPARED_FIELDS.map(field => {
+        const values = Object.fromEntries(rows.map(row => [row.code, row[field] ?? null]));
+        return [field, { same: new Set(Object.values(values).map(String)).size <= 1, values }];
+    }));
+
+    const terms = rows.map(descriptionTerms);
+    const descriptionDifferences = Object.fromEntries(rows.map((row, index) => [
+        row.code,
+        [...terms[index]].filter(term => terms.every((other, otherIndex) => otherIndex === index || !other.has(term)))
+    ]));
+
+    const cheapest = field => {
+        const priced = rows.filter(row => row[field] !== null);
+        return priced.length > 0 ? priced.reduce((min, row) => (row[field] < min[field] ? row : min)).code : null;
+    };
+
+    return {
+        products: rows,
+        fields,
+        descriptionDifferences,
+        cheapest: {
+            byPrice: cheapest('estimatedPrice'),
+            byUnitPrice: cheapest('unitPrice')
+        }
+    };
+}
+
+/**
+ * Render a comparison as a markdown table (one column per product, headed by
+ * its code), with only the rows of the requested `fields` when given
+ */
+export function comparisonToMarkdown(comparison, { fields: selected } = {}) {
+    const { products, fields, descriptionDifferences } = comparison;
+    const shown = field => !selected || selected.includes(field);
+    const rows = [
+        ...(shown('name') ? [['Name', products.map(product => product.name)]] : []),
+        ...COMPARED_FIELDS.filter(shown).map(field => [
+            fields[field].same ? field : `**${field}**`,
+            products.map(product => product[field])
+        ]),
+        ...(shown('description') ? [['Unique terms', products.map(product => descriptionDifferences[product.code].join(', '))]] : [])
+    ];
+
+    return [
+        `| Field | ${products.map(product => markdownCell(product.code)).join(' | ')} |`,
+        `|---|${products.map(() => '---').join('|')}|`,
+        ...rows.map(([label, values]) => `| ${label} | ${values.map(markdownCell).join(' | ')} |`),
+        '',
+        'Fields in **bold** differ between products.'
+    ].join('\n') + '\n';
+}
@@ -0,0 +1,261 @@
+import { readFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import YAML from 'yaml';
+import { LOG_LEVELS } from './logger.js';
+
+export const PROFILES = ['dev', 'homolog', 'prod'];
+export const DEFAULT_PROFILE = 'dev';
+
+const MASK = '********';
+
+const BOOLEANS = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+const dataFile = name => fileURLToPath(new URL(`../data/${name}`, import.meta.url));
+
+function usesServiceAccount(values) {
+    return values.AUTH_MODE === 'service' || values.AUTH_ADMIN_FALLBACK;
+}
+
+/**
+ * Every setting the server reads, by its environment variable name (the same
+ * key is used in config files)
+ *
+ * `secret` values are masked by --check-config; `allowEmpty` settings take an
+ * empty string as a value (e.g. to disable the audit log) instead of "unset";
+ * `required` may depend on the other resolved values.
+ */
+export const SETTINGS = {
+    // Backend and credentials: no defaults, a deployment must say where and as whom.
+    // The service account is needed unless every session brings its own credentials.
+    BACKEND_URL: { type: 'url', required: true },
+    AUTH_MODE: { type: 'enum', values: ['service', 'user'], default: 'service' },
+    AUTH_ADMIN_FALLBACK: { type: 'boolean', default: false },
+    ADMIN_EMAIL: { type: 'string', required: usesServiceAccount },
+    ADMIN_PASSWORD: { type: 'string', required: usesServiceAccount, secret: true },
+    CACHE_ADMINS: { type: 'list', default: [] },
+
+    MCP_TRANSPORT: { type: 'enum', values: ['stdio', 'http'], default: 'stdio' },
+    MCP_HTTP_PORT: { type: 'port', default: 3333 },
+    MCP_HTTP_HOST: { type: 'string', default: '127.0.0.1' },
+    MCP_HTTP_TOKENS: { type: 'list', default: [], secret: true },
+
+    MAX_RESULT_LIMIT: { type: 'integer', min: 1, default: 50 },
+    DEFAULT_THRESHOLD: { type: 'number', min: 0, max: 1, default: 0.7 },
+    SIMILAR_THRESHOLD: { type: 'number', min: 0, max: 1, default: 0.5 },
+
+    CATALOG_SCAN_LIMIT: { type: 'integer', min: 1, default: 10000 },
+    CATALOG_CACHE_TTL_MS: { type: 'integer', min: 0, default: 3600000 },
+
+    PROMPTS_FILE: { type: 'string', default: dataFile('prompts.json') },
+    ABBREVIATIONS_FILE: { type: 'string', default: dataFile('abbreviations.json') },
+    REQUISITIONS_FILE: { type: 'string', default: dataFile('requisitions.json') },
+
+    AUDIT_LOG_FILE: { type: 'string', allowEmpty: true, default: fileURLToPath(new URL('../logs/audit.jsonl', import.meta.url)) },
+    AUDIT_MAX_BYTES: { type: 'integer', min: 1, default: 10485760 },
+    AUDIT_MAX_FILES: { type: 'integer', min: 1, default: 5 },
+    AUDIT_REDACT_FIELDS: { type: 'list', allowEmpty: true, default: [] },
+
+    LOG_LEVEL: { type: 'enum', values: LOG_LEVELS, default: 'info' },
+    CORRELATION_ID_HEADER: { type: 'string', default: 'X-Correlation-ID' },
+    METRICS_PORT: { type: 'port', default: null },
+    METRICS_HOST: { type: 'string', default: '127.0.0.1' },
+
+    CACHE_TTL_MS: { type: 'integer', min: 0, default: 300000 },
+    CACHE_MAX_ENTRIES: { type: 'integer', min: 1, default: 500 },
+
+    BACKEND_TIMEOUT_MS: { type: 'integer', min: 1, default: 10000 },
+    BACKEND_RETRIES: { type: 'integer', min: 0, default: 2 },
+    BACKEND_RETRY_BASE_MS: { type: 'integer', min: 0, default: 200 },
+    BREAKER_THRESHOLD: { type: 'integer', min: 1, default: 5 },
+    BREAKER_COOLDOWN_MS: { type: 'integer', min: 0, default: 30000 }
+};
+
+/**
+ * Invalid configuration, with every problem found (not just the first)
+ */
+export class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Convert a raw value (a string from the environment, or any JSON/YAML value
+ * from a config file) to the setting's type
+ */
+function parseValue(setting, raw) {
+    const text = String(raw).trim();
+
+    switch (setting.type) {
+        case 'string':
+            if (typeof raw === 'object') {
+                throw new Error('must be a string');
+            }
+            return text;
+
+        case 'url': {
+            let url;
+            try {
+                url = new URL(text);
+            } catch {
+                throw new Error(`must be a URL, got "${text}"`);
+            }
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                throw new Error(`must be an http(s) URL, got "${text}"`);
+            }
+            return text.replace(/\/+$/, '');
+        }
+
+        case 'integer':
+        case 'number':
+        case 'port': {
+            const number = typeof raw === 'number' ? raw : (/^-?\d+(\.\d+)?$/.test(text) ? Number(text) : NaN);
+            if (Number.isNaN(number) || (setting.type !== 'number' && !Number.isInteger(number))) {
+                throw new Error(`must be ${setting.type === 'number' ? 'a number' : 'an integer'}, got "${text}"`);
+            }
+            const [min, max] = setting.type === 'port' ? [1, 65535] : [setting.min, setting.max];
+            if (min !== undefined && number < min) {
+                throw new Error(`must be >= ${min}, got ${number}`);
+            }
+            if (max !== undefined && number > max) {
+                throw new Error(`must be <= ${max}, got ${number}`);
+            }
+            return number;
+        }
+
+        case 'boolean': {
+            const value = typeof raw === 'boolean' ? raw : BOOLEANS[text.toLowerCase()];
+            if (value === undefined) {
+                throw new Error(`must be true or false, got "${text}"`);
+            }
+            return value;
+        }
+
+        case 'enum':
+            if (!setting.values.includes(text)) {
+                throw new Error(`must be one of ${setting.values.join(', ')}, got "${text}"`);
+            }
+            return text;
+
+        case 'list':
+            return (Array.isArray(raw) ? raw.map(String) : text.split(','))
+                .map(item => item.trim())
+                .filter(Boolean);
+    }
+    throw new Error(`has unknown type ${setting.type}`);
+}
+
+function isUnset(setting, raw) {
+    return raw === undefined || raw === null || (raw === '' && !setting.allowEmpty);
+}
+
+/**
+ * Read a JSON or YAML config file: top-level settings shared by every
+ * profile, plus a `profiles` map with the overrides of each one
+ */
+function readConfigFile(file) {
+    const text = readFileSync(file, 'utf8');
+    const parsed = ['.yaml', '.yml'].includes(extname(file).toLowerCase()) ? YAML.parse(text) : JSON.parse(text);
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new ConfigError([`${file}: expected an object of settings`]);
+    }
+    return parsed;
+}
+
+/**
+ * Resolve the configuration: defaults, then the config file's shared settings,
+ * then its profile section, then environment variables (.env included)
+ *
+ * Returns { profile, file, values, sources } where `sources` says where each
+ * value came from. Throws ConfigError listing every invalid or missing setting.
+ */
+export function loadConfig({ env = process.env, file = env.CONFIG_FILE || null, profile = env.CONFIG_PROFILE || DEFAULT_PROFILE } = {}) {
+    const errors = [];
+    const layers = [];
+
+    if (!PROFILES.includes(profile)) {
+        errors.push(`CONFIG_PROFILE must be one of ${PROFILES.join(', ')}, got "${profile}"`);
+    }
+
+    if (file) {
+        let contents;
+        try {
+            contents = readConfigFile(file);
+        } catch (error) {
+            throw error instanceof ConfigError ? error : new ConfigError([`${file}: ${error.message}`]);
+        }
+
+        const { profiles = {}, ...shared } = contents;
+        for (const name of Object.keys(profiles)) {
+            if (!PROFILES.includes(name)) {
+                errors.push(`${file}: unknown profile "${name}" (expected ${PROFILES.join(', ')})`);
+            }
+        }
+        layers.push(['file', shared], [`profile ${profile}`, profiles[profile] || {}]);
+
+        for (const [source, values] of layers) {
+            for (const key of Object.keys(values)) {
+                if (!(key in SETTINGS)) {
+                    errors.push(`${file} (${source}): unknown setting ${key}`);
+                }
+            }
+        }
+    }
+    layers.push(['env', env]);
+
+    const values = {};
+    const sources = {};
+    const invalid = new Set();
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+        let value = setting.default;
+        let source = 'default';
+
+        for (const [layerSource, layer] of layers) {
+            const raw = layer[key];
+            if (isUnset(setting, raw)) {
+                continue;
+            }
+            try {
+                value = parseValue(setting, raw);
+                source = layerSource;
+            } catch (error) {
+                errors.push(`${key} ${error.message} (from ${layerSource})`);
+                invalid.add(key);
+            }
+        }
+        values[key] = value ?? null;
+        sources[key] = source;
+    }
+
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+        const required = typeof setting.required === 'function' ? setting.required(values) : setting.required;
+        if (required && !invalid.has(key) && (values[key] === null || values[key] === '')) {
+            errors.push(`${key} is required`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+    return { profile, file, values, sources };
+}
+
+/**
+ * Render a resolved configuration for --check-config, secrets masked
+ */
+export function describeConfig({ profile, file, values, sources }) {
+    const width = Math.max(...Object.keys(values).map(key => key.length));
+    const lines = [`Profile: ${profile}`, `Config file: ${file || '(none)'}`, ''];
+
+    for (const [key, value] of Object.entries(values)) {
+        const empty = value === null || value === '' || (Array.isArray(value) && value.length === 0);
+        const shown = empty
+            ? '(not set)'
+            : SETTINGS[key].secret ? MASK : Array.isArray(value) ? value.join(',') : String(value);
+        lines.push(`${key.padEnd(width)}  ${shown}  [${sources[key]}]`);
+    }
+    return lines.join('\n');
+}
@@ -0,0 +1,74 @@
+import { BackendError } from './resilience.js';
+
+/**
+ * Machine-readable error codes returned by the tools
+ *
+ * INVALID_ARGUMENT: arguments do not match the tool's input schema (or a cursor is stale)
+ * UNKNOWN_TOOL: no tool with that name
+ * NOT_FOUND: a product or requisition named in the arguments does not exist
+ * AUTH_REQUIRED: the session has no backend credentials (call auth.login)
+ * AUTH_FAILED: the backend rejected the session's credentials or token
+ * FORBIDDEN: the session's backend user may not use this tool
+ * BACKEND_UNAVAILABLE: backend timed out, unreachable, 5xx or circuit open (worth retrying later)
+ * BACKEND_ERROR: backend rejected the request (4xx)
+ * INTERNAL_ERROR: anything else
+ */
+export const ERROR_CODES = [
+    'INVALID_ARGUMENT',
+    'UNKNOWN_TOOL',
+    'NOT_FOUND',
+    'AUTH_REQUIRED',
+    'AUTH_FAILED',
+    'FORBIDDEN',
+    'BACKEND_UNAVAILABLE',
+    'BACKEND_ERROR',
+    'INTERNAL_ERROR'
+];
+
+// Backend error types mapped to tool error codes
+const BACKEND_CODES = {
+    auth: 'AUTH_FAILED',
+    timeout: 'BACKEND_UNAVAILABLE',
+    unreachable: 'BACKEND_UNAVAILABLE',
+    server_error: 'BACKEND_UNAVAILABLE',
+    circuit_open: 'BACKEND_UNAVAILABLE',
+    client_error: 'BACKEND_ERROR'
+};
+
+/**
+ * Tool error with a code and, for argument errors, the offending field
+ *
+ * Errors from the backend also keep its error type as `backendType` (e.g.
+ * `timeout` or `server_error`), since several types share one code.
+ */
+export class ToolError extends Error {
+    constructor(code, message, { field = null, backendType = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'ToolError';
+        this.code = code;
+        this.field = field;
+        this.backendType = backendType;
+    }
+
+    toJSON() {
+        return {
+            code: this.code,
+            field: this.field,
+            message: this.message,
+            ...(this.backendType && { backendType: this.backendType })
+        };
+    }
+}
+
+/**
+ * Wrap any error into a ToolError
+ */
+export function toToolError(error) {
+    if (error instanceof ToolError) {
+        return error;
+    }
+    if (error instanceof BackendError) {
+        return new ToolError(BACKEND_CODES[error.type] || 'BACKEND_ERROR', error.message, { backendType: error.type, cause: error });
+    }
+    return new ToolError('INTERNAL_ERROR', error.message, { cause: error });
+}
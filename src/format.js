@@ -0,0 +1,184 @@
+export const OUTPUT_FORMATS = ['json', 'markdown', 'csv', 'compact'];
+
+// Fields kept by the compact format
+const COMPACT_FIELDS = ['code', 'name', 'unit', 'estimatedPrice'];
+
+// Where each tool result keeps its list of records, in lookup order
+const RECORD_PATHS = [['products'], ['alternatives'], ['lines'], ['requisition', 'items'], ['families'], ['types'], ['entries']];
+
+// Output options added to every tool's input schema
+export const OUTPUT_PROPERTIES = {
+    format: {
+        type: 'string',
+        enum: OUTPUT_FORMATS,
+        description: 'Output format: json (default), markdown (table), csv or compact (code, name, unit and price only)',
+        default: 'json'
+    },
+    fields: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Only include these fields in each record (e.g. ["code", "name", "estimatedPrice"])'
+    }
+};
+
+/**
+ * Add the shared output options to a tool definition (a tool's own definition wins)
+ */
+export function withOutputOptions(tool) {
+    return {
+        ...tool,
+        inputSchema: {
+            ...tool.inputSchema,
+            properties: {
+                ...tool.inputSchema.properties,
+                ...Object.fromEntries(
+                    Object.entries(OUTPUT_PROPERTIES).filter(([key]) => !(key in (tool.inputSchema.properties || {})))
+                )
+            }
+        }
+    };
+}
+
+export function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render records as CSV with a header line
+ */
+export function toCsv(records, columns) {
+    return [
+        columns.join(','),
+        ...records.map(record => columns.map(column => csvField(record[column])).join(','))
+    ].join('\n') + '\n';
+}
+
+export function markdownCell(value) {
+    if (value === null || value === undefined || value === '') {
+        return '-';
+    }
+    const text = Array.isArray(value) && value.every(item => typeof item !== 'object')
+        ? value.join(', ')
+        : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Render records as a markdown table
+ */
+export function markdownTable(records, columns) {
+    return [
+        `| ${columns.join(' | ')} |`,
+        `|${columns.map(() => '---').join('|')}|`,
+        ...records.map(record => `| ${columns.map(column => markdownCell(record[column])).join(' | ')} |`)
+    ].join('\n');
+}
+
+/**
+ * Find the list of records in a tool result, as { path, records }
+ */
+export function findRecords(result) {
+    for (const path of RECORD_PATHS) {
+        const records = path.reduce((value, key) => value?.[key], result);
+        if (Array.isArray(records)) {
+            return { path, records };
+        }
+    }
+    return null;
+}
+
+function setPath(object, path, value) {
+    if (path.length === 1) {
+        return { ...object, [path[0]]: value };
+    }
+    return { ...object, [path[0]]: setPath(object[path[0]], path.slice(1), value) };
+}
+
+function project(records, fields) {
+    return records.map(record => Object.fromEntries(fields.filter(field => field in record).map(field => [field, record[field]])));
+}
+
+/**
+ * Columns for tabular output: the requested fields, or every field of the records
+ */
+function columnsOf(records, fields) {
+    if (fields) {
+        return fields;
+    }
+    const columns = [];
+    for (const record of records) {
+        for (const key of Object.keys(record)) {
+            if (!columns.includes(key)) {
+                columns.push(key);
+            }
+        }
+    }
+    return columns;
+}
+
+function scalarEntries(object) {
+    return Object.entries(object || {}).filter(([, value]) => value === null || typeof value !== 'object');
+}
+
+/**
+ * Render a tool result as text in the requested format
+ *
+ * Tools return plain objects; this finds their list of records (products,
+ * alternatives, lines...) to project and tabulate. Failed results are always
+ * JSON so agents can read the error. `markdown(result, { fields })` overrides
+ * the generic markdown rendering for tools with a better layout of their own;
+ * it gets the whole result, unprojected, and applies `fields` itself.
+ */
+export function renderResult(result, { format = 'json', fields, markdown } = {}) {
+    if (!OUTPUT_FORMATS.includes(format)) {
+        throw new Error(`Invalid format: ${format} (expected ${OUTPUT_FORMATS.join(', ')})`);
+    }
+    if (!result || result.success === false) {
+        return JSON.stringify(result, null, 2);
+    }
+
+    const found = findRecords(result);
+    const selected = format === 'compact' && !fields ? COMPACT_FIELDS : fields;
+    const records = found && selected ? project(found.records, selected) : found?.records;
+    const projected = found && selected ? setPath(result, found.path, records) : result;
+
+    switch (format) {
+        case 'json':
+            return JSON.stringify(projected, null, 2);
+
+        case 'compact': {
+            // Scalars only, plus warnings and the projected records, without indentation
+            const compact = Object.fromEntries(scalarEntries(result));
+            if (result.warnings) {
+                compact.warnings = result.warnings;
+            }
+            if (found) {
+                compact[found.path[found.path.length - 1]] = records;
+            }
+            return JSON.stringify(compact);
+        }
+
+        case 'csv':
+            if (!found) {
+                return toCsv(scalarEntries(result).map(([field, value]) => ({ field, value })), ['field', 'value']);
+            }
+            return toCsv(records, columnsOf(records, selected));
+
+        case 'markdown': {
+            if (markdown) {
+                return markdown(result, { fields: selected });
+            }
+            const entries = scalarEntries(result);
+            if (found && found.path.length > 1) {
+                entries.push(...scalarEntries(result[found.path[0]]));
+            }
+            const summary = entries.map(([key, value]) => `- **${key}**: ${markdownCell(value)}`);
+            const table = found && records.length > 0 ? markdownTable(records, columnsOf(records, selected)) : '_No results_';
+            return [...summary, '', table].join('\n') + '\n';
+        }
+    }
+}
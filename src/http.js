@@ -0,0 +1,129 @@
+import http from 'node:http';
+import { timingSafeEqual } from 'node:crypto';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { logger } from './logger.js';
+import { credentialsFromHeaders } from './auth.js';
+
+const SSE_PATH = '/sse';
+const MESSAGES_PATH = '/messages';
+const HEALTH_PATH = '/health';
+
+/**
+ * Compare a presented bearer token against the configured ones in constant time
+ */
+function isAuthorized(req, tokens) {
+    if (tokens.length === 0) {
+        return true;
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) {
+        return false;
+    }
+
+    const presented = Buffer.from(match[1].trim());
+    return tokens.some(token => {
+        const expected = Buffer.from(token);
+        return expected.length === presented.length && timingSafeEqual(expected, presented);
+    });
+}
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Serve MCP over HTTP + SSE: clients open GET /sse and post messages to /messages?sessionId=...
+ *
+ * Each SSE session gets its own MCP server from createServer(); backend state
+ * (cache, circuit breaker) stays shared across sessions. Backend credentials
+ * sent when the session opens (X-Backend-Token, or X-Backend-Email and
+ * X-Backend-Password) make it act as that user.
+ */
+export async function startHttpServer({ createServer, port, host, tokens = [], health = () => ({}), onSessionClosed = () => {} }) {
+    const sessions = new Map();
+    const startedAt = Date.now();
+
+    const httpServer = http.createServer(async (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        try {
+            if (req.method === 'GET' && url.pathname === HEALTH_PATH) {
+                return sendJson(res, 200, {
+                    status: 'ok',
+                    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+                    sessions: sessions.size,
+                    ...health()
+                });
+            }
+
+            if (url.pathname !== SSE_PATH && url.pathname !== MESSAGES_PATH) {
+                return sendJson(res, 404, { error: 'Not found' });
+            }
+
+            if (!isAuthorized(req, tokens)) {
+                return sendJson(res, 401, { error: 'Unauthorized' }, { 'WWW-Authenticate': 'Bearer' });
+            }
+
+            if (req.method === 'GET' && url.pathname === SSE_PATH) {
+                const transport = new SSEServerTransport(MESSAGES_PATH, res);
+                const credentials = credentialsFromHeaders(req.headers);
+                const server = createServer({ sessionId: transport.sessionId, credentials });
+                sessions.set(transport.sessionId, { transport, server });
+
+                // The server takes over transport.onclose on connect, so hook the server instead
+                server.onclose = () => {
+                    sessions.delete(transport.sessionId);
+                    onSessionClosed(transport.sessionId);
+                    logger.info('HTTP session closed', { sessionId: transport.sessionId });
+                };
+
+                await server.connect(transport);
+                logger.info('HTTP session opened', { sessionId: transport.sessionId, backendCredentials: Boolean(credentials) });
+                return;
+            }
+
+            if (req.method === 'POST' && url.pathname === MESSAGES_PATH) {
+                const session = sessions.get(url.searchParams.get('sessionId'));
+                if (!session) {
+                    return sendJson(res, 404, { error: 'Unknown session' });
+                }
+                await session.transport.handlePostMessage(req, res);
+                return;
+            }
+
+            sendJson(res, 405, { error: 'Method not allowed' });
+        } catch (error) {
+            logger.error('HTTP request failed', { error: error.message });
+            if (!res.headersSent) {
+                sendJson(res, 500, { error: 'Internal server error' });
+            }
+        }
+    });
+
+    await new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(port, host, resolve);
+    });
+
+    if (tokens.length === 0) {
+        logger.warn('HTTP transport running without client authentication (set MCP_HTTP_TOKENS)');
+    }
+    logger.info('ULBRA Supply MCP Server listening', { url: `http://${host}:${httpServer.address().port}${SSE_PATH}` });
+
+    return {
+        address: httpServer.address(),
+
+        /**
+         * Stop accepting connections and close every open session
+         */
+        async close() {
+            const closing = new Promise(resolve => httpServer.close(resolve));
+            await Promise.all([...sessions.values()].map(({ server }) => server.close()));
+            httpServer.closeIdleConnections?.();
+            await closing;
+            logger.info('HTTP transport closed');
+        }
+    };
+}
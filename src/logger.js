@@ -0,0 +1,58 @@
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+function serializeError(error) {
+    return { name: error.name, message: error.message, ...(error.code && { code: error.code }), ...(error.type && { type: error.type }) };
+}
+
+/**
+ * JSON-lines logger writing to stderr (stdout carries the stdio MCP transport)
+ *
+ * Each line has time, level and msg, the fields passed by the caller and the
+ * fields of the current context (e.g. the tool call's correlation id).
+ */
+export class Logger {
+    constructor({ level = 'info', context = () => ({}), write = line => process.stderr.write(line) } = {}) {
+        this.configure({ level, context, write });
+    }
+
+    configure({ level = this.level, context = this.context, write = this.write } = {}) {
+        if (!LOG_LEVELS.includes(level)) {
+            throw new Error(`Invalid log level: ${level} (expected ${LOG_LEVELS.join(', ')})`);
+        }
+        this.level = level;
+        this.threshold = LOG_LEVELS.indexOf(level);
+        this.context = context;
+        this.write = write;
+    }
+
+    log(level, msg, fields = {}) {
+        if (LOG_LEVELS.indexOf(level) < this.threshold) {
+            return;
+        }
+
+        const entry = { time: new Date().toISOString(), level, msg, ...this.context() };
+        for (const [key, value] of Object.entries(fields)) {
+            entry[key] = value instanceof Error ? serializeError(value) : value;
+        }
+        this.write(JSON.stringify(entry) + '\n');
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+}
+
+// Shared by the server and its modules; index.js sets the level and context
+export const logger = new Logger();
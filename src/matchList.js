@@ -0,0 +1,145 @@
+// Units commonly written in shopping lists, mapped to the catalog's unit names
+const UNIT_ALIASES = {
+    cx: 'CAIXA', caixa: 'CAIXA', caixas: 'CAIXA',
+    un: 'UNIDADE', und: 'UNIDADE', unid: 'UNIDADE', unidade: 'UNIDADE', unidades: 'UNIDADE',
+    pct: 'PACOTE', pc: 'PACOTE', pacote: 'PACOTE', pacotes: 'PACOTE',
+    fr: 'FRASCO', frasco: 'FRASCO', frascos: 'FRASCO',
+    l: 'LITRO', lt: 'LITRO', litro: 'LITRO', litros: 'LITRO',
+    kg: 'QUILOGRAMA', quilo: 'QUILOGRAMA', quilos: 'QUILOGRAMA',
+    rl: 'ROLO', rolo: 'ROLO', rolos: 'ROLO',
+    par: 'PAR', pares: 'PAR',
+    gl: 'GALAO', galao: 'GALAO', 'galão': 'GALAO',
+    rs: 'RESMA', resma: 'RESMA', resmas: 'RESMA',
+    dz: 'DUZIA', duzia: 'DUZIA', 'dúzia': 'DUZIA'
+};
+
+// Header names accepted for each CSV column
+const CSV_HEADERS = {
+    quantity: ['quantity', 'qty', 'quantidade', 'qtd', 'qtde'],
+    unit: ['unit', 'unidade', 'un', 'und'],
+    description: ['description', 'descricao', 'descrição', 'item', 'produto', 'product']
+};
+
+// "10 cx luva M", "2,5 l álcool", "3x seringa"
+const LINE_PATTERN = /^(\d+(?:[.,]\d+)?)\s*x?\s+(?:([a-zçãõ]+)\.?\s+)?(.+)$/i;
+
+function parseQuantity(text) {
+    return Number(text.replace(',', '.'));
+}
+
+/**
+ * Parse one free-text line into quantity, unit and description
+ */
+export function parseItemLine(line) {
+    const raw = line.trim().replace(/^[-*•]\s*/, '');
+    const match = LINE_PATTERN.exec(raw);
+
+    if (!match) {
+        return { raw, quantity: 1, unit: null, description: raw };
+    }
+
+    const [, quantity, unitToken, rest] = match;
+    const unit = unitToken ? UNIT_ALIASES[unitToken.toLowerCase()] : undefined;
+
+    return {
+        raw,
+        quantity: parseQuantity(quantity),
+        unit: unit || null,
+        // An unknown "unit" word is really the start of the description
+        description: unit ? rest.trim() : `${unitToken ? `${unitToken} ` : ''}${rest}`.trim()
+    };
+}
+
+function splitCsvLine(line, delimiter) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+/**
+ * Find the CSV columns in a header line, or null if it is not a recognized header
+ */
+function detectCsvHeader(line) {
+    const delimiter = (line.match(/;/g) || []).length >= (line.match(/,/g) || []).length ? ';' : ',';
+    const headers = splitCsvLine(line, delimiter).map(header => header.toLowerCase());
+    const columns = {};
+
+    for (const [column, names] of Object.entries(CSV_HEADERS)) {
+        const index = headers.findIndex(header => names.includes(header));
+        if (index !== -1) {
+            columns[column] = index;
+        }
+    }
+    return columns.description === undefined ? null : { delimiter, columns };
+}
+
+/**
+ * Parse a pasted list (one item per line, comma separated, or CSV with a header)
+ */
+export function parseItemList(text) {
+    const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines.length === 0) {
+        return [];
+    }
+
+    const csv = detectCsvHeader(lines[0]);
+    if (csv) {
+        return lines.slice(1).map(line => {
+            const fields = splitCsvLine(line, csv.delimiter);
+            const quantity = csv.columns.quantity !== undefined ? parseQuantity(fields[csv.columns.quantity] || '1') : 1;
+            const unitToken = csv.columns.unit !== undefined ? (fields[csv.columns.unit] || '').toLowerCase() : '';
+            return {
+                raw: line,
+                quantity: Number.isFinite(quantity) && quantity > 0 ? quantity : 1,
+                unit: UNIT_ALIASES[unitToken] || (unitToken ? unitToken.toUpperCase() : null),
+                description: fields[csv.columns.description] || ''
+            };
+        }).filter(item => item.description);
+    }
+
+    // A single line like "2 cx luva M, 10 seringa 5ml" holds several items;
+    // commas followed by a digit are decimals ("2,5 l"), not separators
+    const items = lines.length === 1 ? lines[0].split(/[,;](?!\d)/) : lines;
+    return items.map(parseItemLine).filter(item => item.description);
+}
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
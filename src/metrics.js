@@ -0,0 +1,250 @@
+import http from 'node:http';
+import { logger } from './logger.js';
+
+// Latency histogram bucket upper bounds, in milliseconds
+const LATENCY_BUCKETS_MS = [10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+const METRIC_PREFIX = 'supply_mcp';
+
+class Histogram {
+    constructor(buckets = LATENCY_BUCKETS_MS) {
+        this.buckets = buckets;
+        this.counts = buckets.map(() => 0);
+        this.count = 0;
+        this.sum = 0;
+        this.max = 0;
+    }
+
+    observe(value) {
+        this.count++;
+        this.sum += value;
+        this.max = Math.max(this.max, value);
+        const index = this.buckets.findIndex(bound => value <= bound);
+        if (index !== -1) {
+            this.counts[index]++;
+        }
+    }
+
+    /**
+     * Upper bound of the bucket holding the given quantile (max when past the last bucket)
+     */
+    quantile(q) {
+        if (this.count === 0) {
+            return null;
+        }
+        const rank = q * this.count;
+        let seen = 0;
+        for (let index = 0; index < this.buckets.length; index++) {
+            seen += this.counts[index];
+            if (seen >= rank) {
+                return this.buckets[index];
+            }
+        }
+        return this.max;
+    }
+
+    cumulative() {
+        let seen = 0;
+        return this.buckets.map((bound, index) => {
+            seen += this.counts[index];
+            return [bound, seen];
+        });
+    }
+
+    toJSON() {
+        return {
+            count: this.count,
+            avg: this.count ? Math.round(this.sum / this.count) : null,
+            p50: this.quantile(0.5),
+            p95: this.quantile(0.95),
+            max: this.count ? Math.round(this.max) : null
+        };
+    }
+}
+
+/**
+ * Calls and latency of one tool or backend endpoint, by outcome
+ */
+class Series {
+    constructor() {
+        this.outcomes = {};
+        this.latency = new Histogram();
+    }
+
+    observe(durationMs, outcome) {
+        this.outcomes[outcome] = (this.outcomes[outcome] || 0) + 1;
+        this.latency.observe(durationMs);
+    }
+
+    toJSON() {
+        const errors = Object.fromEntries(Object.entries(this.outcomes).filter(([outcome]) => outcome !== 'ok'));
+        return {
+            calls: this.latency.count,
+            errors,
+            latencyMs: this.latency.toJSON()
+        };
+    }
+}
+
+function labels(values) {
+    return `{${Object.entries(values).map(([key, value]) => `${key}="${String(value).replace(/["\\\n]/g, '\\$&')}"`).join(',')}}`;
+}
+
+/**
+ * In-memory counters and latency histograms for tools, backend endpoints,
+ * search fallbacks and authentication
+ */
+export class Metrics {
+    constructor() {
+        this.startedAt = Date.now();
+        this.tools = new Map();
+        this.endpoints = new Map();
+        this.retries = {};
+        this.searches = 0;
+        this.fallbacks = 0;
+        this.logins = {};
+    }
+
+    series(map, key) {
+        if (!map.has(key)) {
+            map.set(key, new Series());
+        }
+        return map.get(key);
+    }
+
+    /**
+     * Record a tool call; outcome is 'ok' or the error code
+     */
+    observeTool(name, durationMs, outcome = 'ok') {
+        this.series(this.tools, name).observe(durationMs, outcome);
+    }
+
+    /**
+     * Record a backend request (retries included); outcome is 'ok' or the backend error type
+     */
+    observeBackend(endpoint, durationMs, outcome = 'ok') {
+        this.series(this.endpoints, endpoint).observe(durationMs, outcome);
+    }
+
+    countRetry(endpoint) {
+        this.retries[endpoint] = (this.retries[endpoint] || 0) + 1;
+    }
+
+    /**
+     * Record a hybrid search; fallback when one source failed and the other answered
+     */
+    countSearch({ fallback = false } = {}) {
+        this.searches++;
+        if (fallback) {
+            this.fallbacks++;
+        }
+    }
+
+    /**
+     * Record a login: initial, expired (token renewed before expiry) or rejected (after a 401)
+     */
+    countLogin(reason) {
+        this.logins[reason] = (this.logins[reason] || 0) + 1;
+    }
+
+    snapshot(extra = {}) {
+        const refreshes = Object.entries(this.logins)
+            .filter(([reason]) => reason !== 'initial')
+            .reduce((sum, [, count]) => sum + count, 0);
+
+        return {
+            uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+            tools: Object.fromEntries([...this.tools].map(([name, series]) => [name, series.toJSON()])),
+            backend: Object.fromEntries([...this.endpoints].map(([endpoint, series]) => [
+                endpoint,
+                { ...series.toJSON(), retries: this.retries[endpoint] || 0 }
+            ])),
+            search: {
+                hybridSearches: this.searches,
+                fallbacks: this.fallbacks,
+                fallbackRate: this.searches ? Math.round((this.fallbacks / this.searches) * 1000) / 1000 : 0
+            },
+            auth: {
+                logins: { ...this.logins },
+                refreshes
+            },
+            ...extra
+        };
+    }
+
+    /**
+     * Render the metrics in the Prometheus text exposition format
+     */
+    toPrometheus(gauges = {}) {
+        const lines = [];
+        const metric = (name, type, help) => {
+            lines.push(`# HELP ${METRIC_PREFIX}_${name} ${help}`, `# TYPE ${METRIC_PREFIX}_${name} ${type}`);
+        };
+        const histogram = (name, labelName, map) => {
+            metric(`${name}_total`, 'counter', `${labelName === 'tool' ? 'Tool calls' : 'Backend requests'} by outcome`);
+            for (const [key, series] of map) {
+                for (const [outcome, count] of Object.entries(series.outcomes)) {
+                    lines.push(`${METRIC_PREFIX}_${name}_total${labels({ [labelName]: key, outcome })} ${count}`);
+                }
+            }
+            metric(`${name}_duration_ms`, 'histogram', `${labelName === 'tool' ? 'Tool call' : 'Backend request'} latency in milliseconds`);
+            for (const [key, series] of map) {
+                for (const [bound, count] of series.latency.cumulative()) {
+                    lines.push(`${METRIC_PREFIX}_${name}_duration_ms_bucket${labels({ [labelName]: key, le: bound })} ${count}`);
+                }
+                lines.push(`${METRIC_PREFIX}_${name}_duration_ms_bucket${labels({ [labelName]: key, le: '+Inf' })} ${series.latency.count}`);
+                lines.push(`${METRIC_PREFIX}_${name}_duration_ms_sum${labels({ [labelName]: key })} ${series.latency.sum}`);
+                lines.push(`${METRIC_PREFIX}_${name}_duration_ms_count${labels({ [labelName]: key })} ${series.latency.count}`);
+            }
+        };
+
+        histogram('tool_calls', 'tool', this.tools);
+        histogram('backend_requests', 'endpoint', this.endpoints);
+
+        metric('backend_retries_total', 'counter', 'Backend request retries');
+        for (const [endpoint, count] of Object.entries(this.retries)) {
+            lines.push(`${METRIC_PREFIX}_backend_retries_total${labels({ endpoint })} ${count}`);
+        }
+
+        metric('hybrid_searches_total', 'counter', 'Hybrid searches');
+        lines.push(`${METRIC_PREFIX}_hybrid_searches_total ${this.searches}`);
+        metric('search_fallbacks_total', 'counter', 'Hybrid searches answered by a single source after the other failed');
+        lines.push(`${METRIC_PREFIX}_search_fallbacks_total ${this.fallbacks}`);
+
+        metric('auth_logins_total', 'counter', 'Backend logins by reason (initial, expired, rejected)');
+        for (const [reason, count] of Object.entries(this.logins)) {
+            lines.push(`${METRIC_PREFIX}_auth_logins_total${labels({ reason })} ${count}`);
+        }
+
+        for (const [name, { help, value }] of Object.entries(gauges)) {
+            metric(name, 'gauge', help);
+            lines.push(`${METRIC_PREFIX}_${name} ${value}`);
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+/**
+ * Serve GET /metrics in the Prometheus text format on its own port
+ */
+export async function startMetricsServer({ port, host, render }) {
+    const server = http.createServer((req, res) => {
+        if (req.method === 'GET' && req.url.split('?')[0] === '/metrics') {
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+            res.end(render());
+            return;
+        }
+        res.writeHead(404).end();
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+    logger.info('Metrics endpoint listening', { url: `http://${host}:${server.address().port}/metrics` });
+
+    return {
+        address: server.address(),
+        close: () => new Promise(resolve => server.close(() => resolve()))
+    };
+}
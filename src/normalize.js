@@ -0,0 +1,84 @@
+import { readFileSync } from 'node:fs';
+
+// Measurement units written after a number, mapped to the catalog's spelling
+const UNIT_SPELLINGS = {
+    ML: ['ML', 'MILILITRO', 'MILILITROS'],
+    L: ['L', 'LT', 'LTS', 'LITRO', 'LITROS'],
+    MG: ['MG', 'MILIGRAMA', 'MILIGRAMAS'],
+    G: ['G', 'GR', 'GRS', 'GRAMA', 'GRAMAS'],
+    KG: ['KG', 'KGS', 'QUILO', 'QUILOS', 'QUILOGRAMA', 'QUILOGRAMAS'],
+    MM: ['MM', 'MILIMETRO', 'MILIMETROS'],
+    CM: ['CM', 'CENTIMETRO', 'CENTIMETROS'],
+    M: ['M', 'METRO', 'METROS']
+};
+
+const UNIT_LOOKUP = Object.fromEntries(
+    Object.entries(UNIT_SPELLINGS).flatMap(([unit, spellings]) => spellings.map(spelling => [spelling, unit]))
+);
+
+// Longest spellings first so "ML" wins over "M" and "LITROS" over "L"; any
+// letter after the unit (accented ones too) means it is part of a word
+const UNIT_PATTERN = new RegExp(
+    `(\\d+(?:[.,]\\d+)?)\\s*(${Object.keys(UNIT_LOOKUP).sort((a, b) => b.length - a.length).join('|')})(?!\\p{L})`,
+    'gu'
+);
+
+/**
+ * Remove accents (ç -> c, á -> a, ...)
+ */
+export function foldAccents(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Load the abbreviation dictionary (lowercase abbreviation -> expansion)
+ */
+export function loadAbbreviations(file) {
+    const entries = JSON.parse(readFileSync(file, 'utf8'));
+    return Object.fromEntries(
+        Object.entries(entries).map(([abbreviation, expansion]) => [
+            foldAccents(abbreviation).toLowerCase(),
+            foldAccents(String(expansion)).toUpperCase()
+        ])
+    );
+}
+
+/**
+ * Join number + unit with the catalog's unit spelling (decimal comma), in
+ * uppercase text
+ */
+function joinUnits(text) {
+    return text.replace(UNIT_PATTERN, (match, number, unit) => `${number.replace('.', ',')}${UNIT_LOOKUP[unit]}`);
+}
+
+/**
+ * Normalize a query for the literal search, a regex on the catalog names as
+ * written ("SERINGA DESCARTÁVEL 5ML CX C/100"): uppercase with the units
+ * joined, but accents and abbreviations kept as typed
+ */
+export function normalizeLiteralQuery(query) {
+    return joinUnits(String(query).toUpperCase().replace(/\s+/g, ' ').trim());
+}
+
+/**
+ * Normalize a search query to the catalog's conventions
+ *
+ * "Seringa desc. 5 ml" -> "SERINGA DESCARTAVEL 5ML": accents folded, uppercase,
+ * number + unit joined with the catalog's unit spelling (decimal comma),
+ * and known abbreviations expanded.
+ */
+export function normalizeQuery(query, abbreviations = {}) {
+    const folded = foldAccents(String(query)).toUpperCase().replace(/\s+/g, ' ').trim();
+
+    return joinUnits(folded)
+        .split(' ')
+        .map(token => {
+            // Abbreviations are often written with a trailing period ("DESC.")
+            const key = token.toLowerCase().replace(/\.+$/, '');
+            if (/\d/.test(key) || !abbreviations[key]) {
+                return token;
+            }
+            return abbreviations[key];
+        })
+        .join(' ');
+}
@@ -0,0 +1,316 @@
+// The response contract: what every tool promises to return on success.
+// Results are checked against these schemas at runtime (see validateResult).
+
+const NULLABLE_STRING = { type: ['string', 'null'] };
+const NULLABLE_NUMBER = { type: ['number', 'null'] };
+const COUNT = { type: 'integer', minimum: 0 };
+const STRINGS = { type: 'array', items: { type: 'string' } };
+const CODE = { type: ['number', 'string'] };
+
+// Catalog product as returned by the search and lookup tools. Fields copied
+// from the backend are nullable: a value that drifts from its type is sent as null
+const PRODUCT_PROPERTIES = {
+    code: { type: 'number' },
+    name: NULLABLE_STRING,
+    unit: NULLABLE_STRING,
+    estimatedPrice: NULLABLE_NUMBER,
+    description: NULLABLE_STRING,
+    type: NULLABLE_STRING,
+    family: NULLABLE_STRING,
+    similarity: NULLABLE_NUMBER
+};
+
+const PRODUCT = {
+    type: 'object',
+    properties: PRODUCT_PROPERTIES,
+    required: ['code', 'name', 'unit', 'estimatedPrice']
+};
+
+function products(extraProperties = {}) {
+    return {
+        type: 'array',
+        items: { ...PRODUCT, properties: { ...PRODUCT_PROPERTIES, ...extraProperties } }
+    };
+}
+
+const PAGINATION_PROPERTIES = {
+    totalFound: COUNT,
+    offset: COUNT,
+    hasMore: { type: 'boolean' },
+    nextCursor: NULLABLE_STRING
+};
+
+const FILTERS = {
+    type: 'object',
+    properties: {
+        family: { type: 'string' },
+        type: { type: 'string' },
+        unit: { type: 'string' },
+        minPrice: { type: 'number' },
+        maxPrice: { type: 'number' }
+    }
+};
+
+// Summary returned by every requisition tool
+const REQUISITION = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        title: { type: 'string' },
+        createdAt: { type: 'string' },
+        updatedAt: { type: 'string' },
+        totalItems: COUNT,
+        totalQuantity: { type: 'number' },
+        grandTotal: { type: 'number' },
+        itemsWithoutPrice: { type: 'array', items: CODE },
+        items: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    code: CODE,
+                    name: { type: 'string' },
+                    unit: { type: 'string' },
+                    estimatedPrice: NULLABLE_NUMBER,
+                    quantity: { type: 'number' },
+                    lineTotal: NULLABLE_NUMBER
+                },
+                required: ['code', 'name', 'quantity', 'lineTotal']
+            }
+        }
+    },
+    required: ['id', 'totalItems', 'grandTotal', 'items']
+};
+
+const GROUPS = {
+    type: 'array',
+    items: {
+        type: 'object',
+        properties: { name: { type: 'string' }, count: COUNT },
+        required: ['name', 'count']
+    }
+};
+
+const CATALOG_PROPERTIES = {
+    totalFound: COUNT,
+    scanned: COUNT,
+    truncated: { type: 'boolean' },
+    scannedAt: { type: 'string' }
+};
+
+// Summary of a matched product in products.matchList
+const LINE_MATCH = {
+    type: 'object',
+    properties: {
+        code: { type: 'number' },
+        name: { type: 'string' },
+        unit: { type: 'string' },
+        estimatedPrice: { type: 'number' },
+        similarity: NULLABLE_NUMBER,
+        sources: STRINGS
+    },
+    required: ['code', 'name']
+};
+
+const REQUISITION_RESULT = {
+    properties: { requisition: REQUISITION },
+    required: ['requisition']
+};
+
+const TOOL_OUTPUTS = {
+    'products.search': {
+        properties: {
+            query: { type: 'string' },
+            normalizedQuery: { type: 'string' },
+            literalQuery: { type: 'string' },
+            mode: { type: 'string', enum: ['literal', 'semantic', 'hybrid'] },
+            filters: FILTERS,
+            ...PAGINATION_PROPERTIES,
+            sourceCounts: { type: 'object', properties: { literal: COUNT, semantic: COUNT } },
+            products: products({ sources: STRINGS, scores: { type: 'object' }, fusionScore: { type: 'number' } })
+        },
+        required: ['query', 'totalFound', 'hasMore', 'products']
+    },
+    'products.vectorSearch': {
+        properties: {
+            query: { type: 'string' },
+            normalizedQuery: { type: 'string' },
+            filters: FILTERS,
+            ...PAGINATION_PROPERTIES,
+            threshold: { type: 'number' },
+            products: products(),
+            cacheInfo: { type: ['object', 'null'] }
+        },
+        required: ['query', 'totalFound', 'hasMore', 'products']
+    },
+    'products.get': {
+        properties: {
+            requested: STRINGS,
+            totalFound: COUNT,
+            products: products(),
+            notFound: STRINGS
+        },
+        required: ['totalFound', 'products', 'notFound']
+    },
+    'products.similar': {
+        properties: {
+            original: PRODUCT,
+            filters: FILTERS,
+            threshold: { type: 'number' },
+            totalFound: COUNT,
+            alternatives: products({ priceDifference: NULLABLE_NUMBER, priceDifferencePercent: NULLABLE_NUMBER })
+        },
+        required: ['original', 'totalFound', 'alternatives']
+    },
+    'products.compare': {
+        properties: {
+            notFound: STRINGS,
+            products: products({
+                estimatedPrice: NULLABLE_NUMBER,
+                packSize: { type: ['integer', 'null'] },
+                unitPrice: NULLABLE_NUMBER
+            }),
+            fields: { type: 'object' },
+            descriptionDifferences: { type: 'object' },
+            cheapest: {
+                type: 'object',
+                properties: { byPrice: { type: ['number', 'string', 'null'] }, byUnitPrice: { type: ['number', 'string', 'null'] } }
+            }
+        },
+        required: ['products', 'fields', 'cheapest']
+    },
+    'products.matchList': {
+        properties: {
+            totalLines: COUNT,
+            matched: COUNT,
+            unmatched: COUNT,
+            errors: COUNT,
+            threshold: { type: 'number' },
+            lines: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        line: { type: 'integer' },
+                        raw: { type: 'string' },
+                        quantity: { type: 'number' },
+                        unit: NULLABLE_STRING,
+                        description: { type: 'string' },
+                        status: { type: 'string', enum: ['matched', 'unmatched', 'error'] },
+                        confidence: { type: ['string', 'null'], enum: ['high', 'medium', 'low', null] },
+                        match: { oneOf: [LINE_MATCH, { type: 'null' }] },
+                        alternatives: { type: 'array', items: LINE_MATCH }
+                    },
+                    required: ['line', 'quantity', 'description', 'status', 'match', 'alternatives']
+                }
+            }
+        },
+        required: ['totalLines', 'matched', 'unmatched', 'lines']
+    },
+    'catalog.listFamilies': {
+        properties: { ...CATALOG_PROPERTIES, families: GROUPS },
+        required: ['totalFound', 'families']
+    },
+    'catalog.listTypes': {
+        properties: { ...CATALOG_PROPERTIES, types: GROUPS },
+        required: ['totalFound', 'types']
+    },
+    'catalog.browse': {
+        properties: {
+            family: { type: 'string' },
+            ...PAGINATION_PROPERTIES,
+            products: products()
+        },
+        required: ['family', 'totalFound', 'hasMore', 'products']
+    },
+    'admin.cache': {
+        properties: {
+            action: { type: 'string', enum: ['inspect', 'clear'] },
+            stats: { type: 'object' },
+            catalogStats: { type: 'object' },
+            entries: { type: 'array', items: { type: 'object' } },
+            removed: COUNT
+        },
+        required: ['action', 'stats']
+    },
+    'auth.login': {
+        properties: {
+            principal: { type: 'string' },
+            method: { type: 'string', enum: ['password', 'token'] },
+            validUntil: NULLABLE_STRING
+        },
+        required: ['principal', 'method']
+    },
+    'auth.logout': {
+        properties: {
+            loggedOut: { type: 'boolean' },
+            principal: NULLABLE_STRING,
+            actingAs: NULLABLE_STRING
+        },
+        required: ['loggedOut']
+    },
+    'server.stats': {
+        properties: {
+            uptimeSeconds: COUNT,
+            tools: { type: 'object' },
+            backend: { type: 'object' },
+            search: {
+                type: 'object',
+                properties: {
+                    hybridSearches: COUNT,
+                    fallbacks: COUNT,
+                    fallbackRate: { type: 'number', minimum: 0, maximum: 1 }
+                },
+                required: ['hybridSearches', 'fallbacks', 'fallbackRate']
+            },
+            auth: {
+                type: 'object',
+                properties: {
+                    logins: { type: 'object' },
+                    refreshes: COUNT
+                },
+                required: ['logins', 'refreshes']
+            },
+            userSessions: COUNT,
+            cacheStats: { type: 'object' },
+            catalogStats: { type: 'object' },
+            circuitBreaker: { type: 'object' }
+        },
+        required: ['uptimeSeconds', 'tools', 'backend', 'search', 'auth']
+    },
+    'requisition.create': REQUISITION_RESULT,
+    'requisition.addItem': REQUISITION_RESULT,
+    'requisition.removeItem': REQUISITION_RESULT,
+    'requisition.setQuantity': REQUISITION_RESULT,
+    'requisition.summary': REQUISITION_RESULT,
+    'requisition.export': REQUISITION_RESULT
+};
+
+// Added to every result by the server itself
+const COMMON_PROPERTIES = {
+    success: { type: 'boolean' },
+    warnings: STRINGS,
+    cache: {
+        type: 'object',
+        properties: { hits: COUNT, misses: COUNT, coalesced: COUNT },
+        required: ['hits', 'misses', 'coalesced']
+    }
+};
+
+/**
+ * Add the tool's output schema to its definition
+ */
+export function withOutputSchema(tool) {
+    const output = TOOL_OUTPUTS[tool.name];
+    if (!output) {
+        return tool;
+    }
+    return {
+        ...tool,
+        outputSchema: {
+            type: 'object',
+            properties: { ...COMMON_PROPERTIES, ...output.properties },
+            required: ['success', ...(output.required || [])]
+        }
+    };
+}
@@ -0,0 +1,68 @@
+import { readFile } from 'node:fs/promises';
+
+/**
+ * Load the prompt library from its JSON data file
+ *
+ * The file is read on every call so wording changes apply without a restart.
+ */
+export async function loadPrompts(file) {
+    return JSON.parse(await readFile(file, 'utf8'));
+}
+
+/**
+ * List prompts in the shape of a prompts/list result
+ */
+export async function listPrompts(file) {
+    const prompts = await loadPrompts(file);
+    return {
+        prompts: Object.entries(prompts).map(([name, prompt]) => ({
+            name,
+            description: prompt.description,
+            arguments: (prompt.arguments || []).map(({ name: argName, description, required }) => ({
+                name: argName,
+                description,
+                required
+            }))
+        }))
+    };
+}
+
+/**
+ * Render a prompt with its arguments in the shape of a prompts/get result
+ */
+export async function getPrompt(file, name, args = {}) {
+    const prompts = await loadPrompts(file);
+    const prompt = prompts[name];
+    if (!prompt) {
+        throw new Error(`Unknown prompt: ${name}`);
+    }
+
+    for (const argument of prompt.arguments || []) {
+        if (argument.required && !String(args[argument.name] ?? '').trim()) {
+            throw new Error(`Missing required argument for prompt ${name}: ${argument.name}`);
+        }
+    }
+
+    // Optional arguments fall back to their `default` from the data file
+    const values = Object.fromEntries(
+        (prompt.arguments || []).map(argument => [argument.name, argument.default ?? ''])
+    );
+    for (const [key, value] of Object.entries(args)) {
+        if (String(value ?? '').trim()) {
+            values[key] = value;
+        }
+    }
+
+    const template = Array.isArray(prompt.template) ? prompt.template.join('\n') : prompt.template;
+    const text = template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) => String(values[key] ?? ''));
+
+    return {
+        description: prompt.description,
+        messages: [
+            {
+                role: 'user',
+                content: { type: 'text', text }
+            }
+        ]
+    };
+}
@@ -0,0 +1,108 @@
+// Ranking metrics reported by the relevance evaluation
+export const RANKING_METRICS = ['recall', 'mrr', 'ndcg'];
+
+/**
+ * Relevance grade of each expected product code: a list of codes counts each
+ * one as grade 1, an object maps codes to grades (e.g. 2 = exact, 1 = acceptable)
+ */
+export function relevanceGrades(relevant) {
+    const entries = Array.isArray(relevant)
+        ? relevant.map(code => [String(code), 1])
+        : Object.entries(relevant || {}).map(([code, grade]) => [String(code), Number(grade)]);
+    return new Map(entries.filter(([, grade]) => grade > 0));
+}
+
+/**
+ * Share of the relevant products found in the first k results
+ */
+export function recallAtK(ranked, grades, k) {
+    if (grades.size === 0) {
+        return null;
+    }
+    const found = ranked.slice(0, k).filter(code => grades.has(String(code))).length;
+    return found / grades.size;
+}
+
+/**
+ * 1 / rank of the first relevant result (0 if none came back)
+ */
+export function reciprocalRank(ranked, grades) {
+    const index = ranked.findIndex(code => grades.has(String(code)));
+    return index === -1 ? 0 : 1 / (index + 1);
+}
+
+function dcg(gains) {
+    return gains.reduce((sum, gain, index) => sum + (2 ** gain - 1) / Math.log2(index + 2), 0);
+}
+
+/**
+ * Normalized discounted cumulative gain of the first k results, against the
+ * ideal ordering of the graded relevant products
+ */
+export function ndcgAtK(ranked, grades, k) {
+    const ideal = dcg([...grades.values()].sort((a, b) => b - a).slice(0, k));
+    if (ideal === 0) {
+        return null;
+    }
+    return dcg(ranked.slice(0, k).map(code => grades.get(String(code)) || 0)) / ideal;
+}
+
+function round(value) {
+    return value === null ? null : Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Score one query's ranked product codes
+ */
+export function scoreRanking(ranked, relevant, k) {
+    const grades = relevanceGrades(relevant);
+    return {
+        recall: round(recallAtK(ranked, grades, k)),
+        mrr: round(reciprocalRank(ranked, grades)),
+        ndcg: round(ndcgAtK(ranked, grades, k))
+    };
+}
+
+/**
+ * Average each metric over the scored queries (failed queries count as 0)
+ */
+export function averageScores(scores) {
+    return Object.fromEntries(RANKING_METRICS.map(metric => {
+        const values = scores.map(score => score[metric] ?? 0);
+        return [metric, values.length ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null];
+    }));
+}
+
+/**
+ * Compare each configuration's metrics with a baseline report
+ *
+ * A metric regresses when it drops by more than `tolerance`. Configurations
+ * missing from either side are listed as added or removed.
+ */
+export function compareToBaseline(current, baseline, tolerance = 0.01) {
+    const configs = {};
+    let regressions = 0;
+
+    for (const [name, result] of Object.entries(current.configs)) {
+        const before = baseline.configs?.[name];
+        if (!before) {
+            configs[name] = { status: 'added' };
+            continue;
+        }
+
+        const metrics = Object.fromEntries(RANKING_METRICS.map(metric => {
+            const delta = round((result.metrics[metric] ?? 0) - (before.metrics[metric] ?? 0));
+            return [metric, { baseline: before.metrics[metric], current: result.metrics[metric], delta }];
+        }));
+        const regressed = RANKING_METRICS.filter(metric => metrics[metric].delta < -tolerance);
+        regressions += regressed.length > 0 ? 1 : 0;
+        configs[name] = { status: regressed.length > 0 ? 'regressed' : 'ok', regressed, metrics };
+    }
+    for (const name of Object.keys(baseline.configs || {})) {
+        if (!(name in current.configs)) {
+            configs[name] = { status: 'removed' };
+        }
+    }
+
+    return { baselineGeneratedAt: baseline.generatedAt || null, tolerance, regressions, configs };
+}
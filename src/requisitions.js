@@ -0,0 +1,179 @@
+import { randomUUID } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { ToolError } from './errors.js';
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Requisition drafts persisted to a local JSON file
+ *
+ * Drafts belong to an owner (the backend user the MCP session acts as), who
+ * also has a current draft, used when a tool call names no requisition. The
+ * file keeps both, so drafts survive restarts and reconnections.
+ */
+export class RequisitionStore {
+    constructor(file) {
+        this.file = file;
+        this.state = null;
+        this.loading = null;
+        this.writing = Promise.resolve();
+    }
+
+    /**
+     * Read the file once; concurrent first callers share the same read, so
+     * they all change (and save) the same state
+     */
+    load() {
+        this.loading ??= this.read().catch(error => {
+            this.loading = null;
+            throw error;
+        });
+        return this.loading;
+    }
+
+    async read() {
+        try {
+            this.state = JSON.parse(await readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Failed to read requisitions file ${this.file}: ${error.message}`);
+            }
+            this.state = { requisitions: {}, current: {} };
+        }
+        return this.state;
+    }
+
+    /**
+     * Write the state to disk (atomically, one write at a time)
+     */
+    save() {
+        const snapshot = JSON.stringify(this.state, null, 2);
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            await mkdir(dirname(this.file), { recursive: true });
+            const tmp = `${this.file}.${process.pid}.tmp`;
+            await writeFile(tmp, snapshot);
+            await rename(tmp, this.file);
+        });
+        return this.writing;
+    }
+
+    async create(owner, title = '') {
+        const state = await this.load();
+        const now = new Date().toISOString();
+        const requisition = {
+            id: randomUUID(),
+            title,
+            owner,
+            createdAt: now,
+            updatedAt: now,
+            items: []
+        };
+
+        state.requisitions[requisition.id] = requisition;
+        state.current[owner] = requisition.id;
+        await this.save();
+        return requisition;
+    }
+
+    /**
+     * Get one of the owner's requisitions by id, or their current one when no
+     * id is given (someone else's draft is reported as not found)
+     */
+    async get(owner, id) {
+        const state = await this.load();
+        const requisitionId = id || state.current[owner];
+        if (!requisitionId) {
+            throw new ToolError('NOT_FOUND', 'No requisition selected; call requisition.create first or pass requisitionId', {
+                field: 'requisitionId'
+            });
+        }
+
+        const requisition = state.requisitions[requisitionId];
+        if (!requisition || requisition.owner !== owner) {
+            throw new ToolError('NOT_FOUND', `Requisition not found: ${requisitionId}`, { field: 'requisitionId' });
+        }
+        return requisition;
+    }
+
+    /**
+     * Add a catalog product, summing quantities if it is already in the draft
+     */
+    async addItem(owner, id, product, quantity) {
+        const requisition = await this.get(owner, id);
+        const existing = requisition.items.find(item => String(item.code) === String(product.code));
+
+        if (existing) {
+            existing.quantity += quantity;
+        } else {
+            requisition.items.push({
+                code: product.code,
+                name: product.name,
+                unit: product.unit,
+                estimatedPrice: product.estimatedPrice ?? null,
+                quantity
+            });
+        }
+        return this.touch(requisition);
+    }
+
+    async removeItem(owner, id, code) {
+        const requisition = await this.get(owner, id);
+        const index = this.findItemIndex(requisition, code);
+        requisition.items.splice(index, 1);
+        return this.touch(requisition);
+    }
+
+    /**
+     * Set an item's quantity; zero removes the item
+     */
+    async setQuantity(owner, id, code, quantity) {
+        const requisition = await this.get(owner, id);
+        const index = this.findItemIndex(requisition, code);
+
+        if (quantity === 0) {
+            requisition.items.splice(index, 1);
+        } else {
+            requisition.items[index].quantity = quantity;
+        }
+        return this.touch(requisition);
+    }
+
+    findItemIndex(requisition, code) {
+        const index = requisition.items.findIndex(item => String(item.code) === String(code));
+        if (index === -1) {
+            throw new ToolError('NOT_FOUND', `Product ${code} is not in requisition ${requisition.id}`, { field: 'code' });
+        }
+        return index;
+    }
+
+    async touch(requisition) {
+        requisition.updatedAt = new Date().toISOString();
+        await this.save();
+        return requisition;
+    }
+}
+
+/**
+ * Build a requisition summary with line totals and the grand total
+ */
+export function summarizeRequisition(requisition) {
+    const items = requisition.items.map(item => ({
+        ...item,
+        lineTotal: item.estimatedPrice === null ? null : roundMoney(item.estimatedPrice * item.quantity)
+    }));
+
+    return {
+        id: requisition.id,
+        title: requisition.title,
+        createdAt: requisition.createdAt,
+        updatedAt: requisition.updatedAt,
+        totalItems: items.length,
+        totalQuantity: items.reduce((sum, item) => sum + item.quantity, 0),
+        grandTotal: roundMoney(items.reduce((sum, item) => sum + (item.lineTotal || 0), 0)),
+        itemsWithoutPrice: items.filter(item => item.lineTotal === null).map(item => item.code),
+        items
+    };
+}
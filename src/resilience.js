@@ -0,0 +1,172 @@
+import { logger } from './logger.js';
+
+/**
+ * Backend error with a machine-readable type
+ *
+ * Types: timeout, unreachable, auth, client_error (4xx), server_error (5xx), circuit_open.
+ */
+export class BackendError extends Error {
+    constructor(type, message, { status = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'BackendError';
+        this.type = type;
+        this.status = status;
+    }
+}
+
+// Error types worth retrying and counting against the circuit breaker
+const TRANSIENT_TYPES = ['timeout', 'unreachable', 'server_error'];
+
+/**
+ * Classify an axios error into a backend error type
+ */
+export function classifyError(error) {
+    if (error instanceof BackendError) {
+        return error.type;
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || error.code === 'ERR_CANCELED') {
+        return 'timeout';
+    }
+
+    const status = error.response?.status;
+    if (!status) {
+        return 'unreachable';
+    }
+    if (status === 401 || status === 403) {
+        return 'auth';
+    }
+    return status >= 500 ? 'server_error' : 'client_error';
+}
+
+/**
+ * Wrap any error into a BackendError, prefixing its message
+ */
+export function toBackendError(error, prefix) {
+    if (error instanceof BackendError) {
+        return error;
+    }
+    return new BackendError(classifyError(error), `${prefix}: ${error.message}`, {
+        status: error.response?.status ?? null,
+        cause: error
+    });
+}
+
+export function isTransient(error) {
+    return TRANSIENT_TYPES.includes(classifyError(error));
+}
+
+/**
+ * Run fn, retrying transient failures with jittered exponential backoff
+ */
+export async function withRetry(fn, { retries = 2, baseDelayMs = 200, maxDelayMs = 5000, onRetry } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= retries || !isTransient(error)) {
+                throw error;
+            }
+
+            // Full jitter: a random delay up to the exponential ceiling
+            const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+            const delay = Math.round(Math.random() * ceiling);
+            if (onRetry) {
+                onRetry(error, attempt + 1, delay);
+            }
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Circuit breaker that fails fast after repeated transient backend failures
+ *
+ * closed -> open after `threshold` consecutive failures; open -> half-open
+ * after `cooldownMs`, where a single trial call decides whether to close again.
+ */
+export class CircuitBreaker {
+    constructor({ threshold = 5, cooldownMs = 30000 } = {}) {
+        this.threshold = threshold;
+        this.cooldownMs = cooldownMs;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    async execute(fn) {
+        this.beforeCall();
+        const trial = this.state === 'half-open';
+
+        try {
+            const result = await fn();
+            this.onSuccess();
+            return result;
+        } catch (error) {
+            this.onFailure(error);
+            throw error;
+        } finally {
+            if (trial) {
+                this.trialInFlight = false;
+            }
+        }
+    }
+
+    beforeCall() {
+        if (this.state === 'open') {
+            const remaining = this.openedAt + this.cooldownMs - Date.now();
+            if (remaining > 0) {
+                throw new BackendError(
+                    'circuit_open',
+                    `Supply backend unavailable (circuit open, retry in ${Math.ceil(remaining / 1000)}s)`
+                );
+            }
+            this.state = 'half-open';
+        }
+
+        if (this.state === 'half-open') {
+            if (this.trialInFlight) {
+                throw new BackendError('circuit_open', 'Supply backend unavailable (circuit half-open, trial in progress)');
+            }
+            this.trialInFlight = true;
+        }
+    }
+
+    onSuccess() {
+        if (this.state !== 'closed') {
+            logger.info('Circuit breaker closed, backend is back');
+        }
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    onFailure(error) {
+        if (!isTransient(error)) {
+            // The backend answered (4xx/auth): it is up, even if the request was bad
+            if (this.state === 'half-open') {
+                this.onSuccess();
+            }
+            return;
+        }
+
+        this.failures++;
+        if (this.state === 'half-open' || this.failures >= this.threshold) {
+            if (this.state !== 'open') {
+                logger.warn('Circuit breaker open', { failures: this.failures });
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    stats() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            threshold: this.threshold,
+            cooldownMs: this.cooldownMs,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+        };
+    }
+}
@@ -0,0 +1,215 @@
+import { ToolError } from './errors.js';
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'array':
+        case 'null':
+        case 'object':
+            return typeOf(value) === type;
+        default:
+            return typeof value === type;
+    }
+}
+
+function invalid(field, message) {
+    return new ToolError('INVALID_ARGUMENT', `${field}: ${message}`, { field });
+}
+
+/**
+ * Check a value against a schema, returning the (possibly clamped) value
+ *
+ * Integers above their maximum are clamped and reported in `adjustments`
+ * (counts like `limit` should not fail a call); every other violation throws.
+ */
+function validateValue(schema, value, field, adjustments) {
+    if (schema.oneOf) {
+        // When only one form has the value's type, its error is the useful one
+        const candidates = schema.oneOf.filter(option => [].concat(option.type || []).some(type => matchesType(value, type)));
+        if (candidates.length === 1) {
+            return validateValue(candidates[0], value, field, adjustments);
+        }
+
+        const errors = [];
+        for (const option of schema.oneOf) {
+            try {
+                return validateValue(option, value, field, adjustments);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+        throw invalid(field, `does not match any allowed form (${errors.join('; ')})`);
+    }
+
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        throw invalid(field, `expected ${types.join(' or ')}, got ${typeOf(value)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        throw invalid(field, `expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            throw invalid(field, `must be at least ${schema.minimum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            throw invalid(field, `must be greater than ${schema.exclusiveMinimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            if (!types.includes('integer')) {
+                throw invalid(field, `must be at most ${schema.maximum}`);
+            }
+            adjustments.push(`${field} clamped from ${value} to ${schema.maximum}`);
+            return schema.maximum;
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            throw invalid(field, schema.minLength === 1 ? 'must not be empty' : `must have at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            throw invalid(field, `must have at most ${schema.maxLength} characters`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            throw invalid(field, `must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            throw invalid(field, `must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            return value.map((item, index) => validateValue(schema.items, item, `${field}[${index}]`, adjustments));
+        }
+    }
+
+    if (typeOf(value) === 'object' && schema.properties) {
+        return validateObject(schema, value, field, adjustments);
+    }
+    return value;
+}
+
+function validateObject(schema, value, prefix, adjustments) {
+    const fieldName = key => (prefix ? `${prefix}.${key}` : key);
+
+    for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null) {
+            throw invalid(fieldName(key), 'is required');
+        }
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        const property = schema.properties[key];
+        if (!property) {
+            throw invalid(fieldName(key), 'unknown argument');
+        }
+        // Optional arguments sent as null are treated as omitted
+        if (item === null && !(schema.required || []).includes(key)) {
+            continue;
+        }
+        result[key] = validateValue(property, item, fieldName(key), adjustments);
+    }
+    return result;
+}
+
+/**
+ * Validate tool arguments against the tool's input schema
+ *
+ * Supports the subset of JSON Schema the tools use (type, enum, oneOf,
+ * minimum/maximum, minLength/maxLength, minItems/maxItems, items, required)
+ * and rejects unknown arguments. Returns `{ args, adjustments }`, where
+ * adjustments lists the values that were clamped.
+ */
+export function validateArguments(schema, args) {
+    if (typeOf(args) !== 'object') {
+        throw new ToolError('INVALID_ARGUMENT', `arguments: expected object, got ${typeOf(args)}`, { field: 'arguments' });
+    }
+
+    const adjustments = [];
+    return { args: validateObject(schema, args, '', adjustments), adjustments };
+}
+
+/**
+ * Collect the violations of a value against a schema, and return a copy of it
+ * with each offending value replaced by null (missing required fields added as null)
+ */
+function conformValue(schema, value, path, violations) {
+    if (schema.oneOf) {
+        const fits = option => {
+            const found = [];
+            conformValue(option, value, path, found);
+            return found.length === 0;
+        };
+        if (!schema.oneOf.some(fits)) {
+            violations.push(`${path}: does not match any allowed form`);
+            return null;
+        }
+        return value;
+    }
+
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        violations.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+        return null;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        violations.push(`${path}: unexpected value ${JSON.stringify(value)}`);
+        return null;
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        violations.push(`${path}: below minimum ${schema.minimum}`);
+        return null;
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        return value.map((item, index) => conformValue(schema.items, item, `${path}[${index}]`, violations));
+    }
+
+    if (typeOf(value) === 'object') {
+        const conformed = { ...value };
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                violations.push(`${path}.${key}: missing`);
+                conformed[key] = null;
+            }
+        }
+        for (const [key, property] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                conformed[key] = conformValue(property, value[key], `${path}.${key}`, violations);
+            }
+        }
+        return conformed;
+    }
+    return value;
+}
+
+/**
+ * Check a tool result against its output schema
+ *
+ * Unlike argument validation this never throws and allows extra fields: it
+ * returns every violation found (e.g. "$.products[0].estimatedPrice: expected
+ * number, got string") so contract drift can be reported without failing the
+ * call, and `value`, the result with each offending value replaced by null.
+ */
+export function validateResult(schema, result) {
+    const violations = [];
+    const value = conformValue(schema, result, '$', violations);
+    return { value, violations };
+}
@@ -0,0 +1,913 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { createServer as createNetServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { MOCK_CREDENTIALS, MOCK_USER, MockBackend } from '../tools/mock-backend.js';
+
+const SERVER = fileURLToPath(new URL('../index.js', import.meta.url));
+const REPLAY = fileURLToPath(new URL('../replay-audit.js', import.meta.url));
+const EVALUATE = fileURLToPath(new URL('../evaluate-search.js', import.meta.url));
+const SEARCH_BASELINE = fileURLToPath(new URL('./fixtures/search-baseline.json', import.meta.url));
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Read a JSONL file once it has the expected number of records (writes are asynchronous)
+ */
+async function readRecords(file, count, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const lines = (await readFile(file, 'utf8').catch(() => '')).split('\n').filter(Boolean);
+        if (lines.length >= count || Date.now() > deadline) {
+            return lines.map(line => JSON.parse(line));
+        }
+        await sleep(50);
+    }
+}
+
+/**
+ * Find a free local port (for servers that cannot report the one they picked)
+ */
+async function freePort() {
+    const probe = createNetServer();
+    await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+    const { port } = probe.address();
+    await new Promise(resolve => probe.close(resolve));
+    return port;
+}
+
+/**
+ * Spawn the server over stdio against a backend URL and connect an MCP client
+ *
+ * The cache is off and retries are fast so each test sees every backend call.
+ */
+async function startServer(backendUrl, env = {}) {
+    const dataDir = await mkdtemp(join(tmpdir(), 'supply-mcp-test-'));
+    const transport = new StdioClientTransport({
+        command: process.execPath,
+        args: [SERVER],
+        env: {
+            BACKEND_URL: backendUrl,
+            ADMIN_EMAIL: MOCK_CREDENTIALS.email,
+            ADMIN_PASSWORD: MOCK_CREDENTIALS.password,
+            REQUISITIONS_FILE: join(dataDir, 'requisitions.json'),
+            AUDIT_LOG_FILE: join(dataDir, 'audit.jsonl'),
+            CACHE_TTL_MS: '0',
+            BACKEND_RETRIES: '0',
+            BACKEND_RETRY_BASE_MS: '1',
+            BACKEND_TIMEOUT_MS: '2000',
+            BREAKER_THRESHOLD: '1000',
+            ...env
+        },
+        stderr: process.env.TEST_VERBOSE ? 'inherit' : 'ignore'
+    });
+    const client = new Client({ name: 'supply-mcp-tests', version: '1.0.0' }, { capabilities: {} });
+    await client.connect(transport);
+
+    return {
+        client,
+        async close() {
+            await client.close();
+            // The server may still be flushing its audit log into the directory
+            await rm(dataDir, { recursive: true, force: true, maxRetries: 3 });
+        }
+    };
+}
+
+/**
+ * Call a tool and parse its JSON text content
+ */
+async function callTool(client, name, args = {}) {
+    const response = await client.callTool({ name, arguments: args });
+    return { isError: Boolean(response.isError), body: JSON.parse(response.content[0].text) };
+}
+
+describe('supply MCP server', () => {
+    let backend;
+    let server;
+
+    before(async () => {
+        backend = new MockBackend();
+        server = await startServer(await backend.start());
+    });
+
+    after(async () => {
+        await server?.close();
+        await backend?.close();
+    });
+
+    describe('happy path', () => {
+        it('lists every tool with an input schema', async () => {
+            const { tools } = await server.client.listTools();
+            const names = tools.map(tool => tool.name);
+
+            for (const name of ['products.search', 'products.vectorSearch', 'products.get', 'catalog.browse', 'requisition.export']) {
+                assert.ok(names.includes(name), `missing tool ${name}`);
+            }
+            for (const tool of tools) {
+                assert.equal(tool.inputSchema.type, 'object', `${tool.name} has no object schema`);
+            }
+        });
+
+        it('finds a product by description with hybrid search', async () => {
+            backend.reset();
+            const { isError, body } = await callTool(server.client, 'products.search', { query: 'seringa descartável 5 ml', limit: 3 });
+
+            assert.equal(isError, false);
+            assert.equal(body.normalizedQuery, 'SERINGA DESCARTAVEL 5ML');
+            // The literal search matches the accented catalog name as written
+            assert.equal(body.literalQuery, 'SERINGA DESCARTÁVEL 5ML');
+            assert.equal(body.products[0].code, 12345);
+            assert.deepEqual(body.products[0].sources, ['literal', 'semantic']);
+            assert.equal(backend.count('/api/supply/products'), 1);
+            assert.equal(backend.count('/api/supply/products/vector-search'), 1);
+        });
+
+        it('returns products by exact code and reports the missing ones', async () => {
+            const { body } = await callTool(server.client, 'products.get', { code: [20001, '99999'] });
+
+            assert.deepEqual(body.products.map(product => product.code), [20001]);
+            assert.equal(body.products[0].estimatedPrice, 28.5);
+            assert.deepEqual(body.notFound, ['99999']);
+        });
+
+        it('finds a short code that occurs inside more codes than a backend page holds', async () => {
+            // 12 codes containing "123", the exact one last: past the backend's default page of 10
+            const products = [...Array.from({ length: 12 }, (_, index) => 1230 + index), 123].map(code => ({
+                code, name: `ITEM ${code}`, unit: 'UNIDADE', priceEstimated: 1, description: '', type: 'Produto', family: 'X'
+            }));
+            const crowded = new MockBackend({ products });
+            const crowdedServer = await startServer(await crowded.start());
+            try {
+                const { body } = await callTool(crowdedServer.client, 'products.get', { code: '123' });
+
+                assert.deepEqual(body.products.map(product => product.code), [123]);
+                assert.deepEqual(body.notFound, []);
+                // An anchored pattern and a small page, never a catalog-sized one
+                const [lookup] = crowded.requests.filter(request => request.path === '/api/supply/products');
+                assert.equal(lookup.params.search, '^123$');
+                assert.ok(Number(lookup.params.limit) <= 10);
+            } finally {
+                await crowdedServer.close();
+                await crowded.close();
+            }
+        });
+
+        it('pages through a family with cursors', async () => {
+            const first = await callTool(server.client, 'catalog.browse', { family: 'LIMPEZA', limit: 2 });
+            assert.equal(first.body.products.length, 2);
+            assert.equal(first.body.hasMore, true);
+
+            const second = await callTool(server.client, 'catalog.browse', { family: 'LIMPEZA', limit: 2, cursor: first.body.nextCursor });
+            assert.equal(second.body.products.length, 1);
+            assert.equal(second.body.hasMore, false);
+        });
+
+        it('keeps fetching until a page survives local filtering', async () => {
+            // Only the last 3 of 123 gloves are under the price cap, far past the first over-fetch
+            const products = Array.from({ length: 123 }, (_, index) => ({
+                code: 60000 + index, name: `LUVA ${index}`, unit: 'PAR', priceEstimated: index < 120 ? 100 : 1, description: '', type: 'Produto', family: 'X'
+            }));
+            const large = new MockBackend({ products });
+            const largeServer = await startServer(await large.start());
+            try {
+                const args = { query: 'luva', mode: 'literal', maxPrice: 5, limit: 2 };
+                const first = await callTool(largeServer.client, 'products.search', args);
+                assert.deepEqual(first.body.products.map(product => product.code), [60120, 60121]);
+                assert.equal(first.body.hasMore, true);
+
+                const second = await callTool(largeServer.client, 'products.search', { ...args, cursor: first.body.nextCursor });
+                assert.deepEqual(second.body.products.map(product => product.code), [60122]);
+                assert.equal(second.body.hasMore, false);
+            } finally {
+                await largeServer.close();
+                await large.close();
+            }
+        });
+
+        it('builds and exports a requisition', async () => {
+            await callTool(server.client, 'requisition.create', { title: 'Ambulatório' });
+            await callTool(server.client, 'requisition.addItem', { code: 12345, quantity: 10 });
+            const response = await server.client.callTool({ name: 'requisition.export', arguments: {} });
+
+            const lines = response.content[0].text.trim().split('\n');
+            assert.equal(lines.length, 2);
+            assert.match(lines[1], /^12345,/);
+            assert.match(lines[1], /,4\.5$/);
+        });
+    });
+
+    describe('output contract', () => {
+        it('declares an output schema for every tool', async () => {
+            const { tools } = await server.client.listTools();
+
+            for (const tool of tools) {
+                assert.equal(tool.outputSchema?.type, 'object', `${tool.name} has no output schema`);
+                assert.ok(tool.outputSchema.required.includes('success'));
+            }
+        });
+
+        it('returns the result as structuredContent alongside the text', async () => {
+            const response = await server.client.callTool({ name: 'products.search', arguments: { query: 'luva', limit: 2 } });
+
+            assert.deepEqual(response.structuredContent, JSON.parse(response.content[0].text));
+            assert.equal(response.structuredContent.warnings, undefined);
+        });
+
+        it('reports backend contract drift as warnings, sending the offending values as null', async () => {
+            const drifted = new MockBackend({
+                products: [{ code: 777, name: 'LUVA', unit: 'CAIXA', priceEstimated: '28,50', type: 'Produto', family: 'X' }]
+            });
+            const driftServer = await startServer(await drifted.start());
+            try {
+                const response = await driftServer.client.callTool({ name: 'products.get', arguments: { code: 777 } });
+
+                assert.equal(Boolean(response.isError), false);
+                assert.deepEqual(response.structuredContent.warnings, [
+                    'Output schema violation: $.products[0].estimatedPrice: expected number or null, got string (sent as null)'
+                ]);
+                assert.equal(response.structuredContent.products[0].estimatedPrice, null);
+                assert.equal(response.structuredContent.products[0].name, 'LUVA');
+            } finally {
+                await driftServer.close();
+                await drifted.close();
+            }
+        });
+    });
+
+    describe('fallback from vector to regex search', () => {
+        it('keeps the literal results when vector search fails', async () => {
+            backend.reset();
+            backend.fail('/api/supply/products/vector-search', { status: 503 });
+
+            const { isError, body } = await callTool(server.client, 'products.search', { query: 'luva procedimento' });
+
+            assert.equal(isError, false);
+            assert.deepEqual(body.sourceCounts, { literal: 2 });
+            assert.deepEqual(body.products.map(product => product.code), [20001, 20002]);
+            assert.ok(body.products.every(product => product.sources.join() === 'literal'));
+            assert.match(body.warnings[0], /^semantic search failed/);
+            backend.reset();
+        });
+
+        it('fails only when both searches fail', async () => {
+            backend.fail('/api/supply/products/vector-search', { status: 503 });
+            backend.fail('/api/supply/products', { status: 503 });
+
+            const { isError, body } = await callTool(server.client, 'products.search', { query: 'luva' });
+
+            assert.equal(isError, true);
+            assert.equal(body.error.code, 'BACKEND_UNAVAILABLE');
+            backend.reset();
+        });
+    });
+
+    describe('authentication', () => {
+        it('logs in again after the backend revokes the token', async () => {
+            backend.reset();
+            backend.revokeTokens();
+
+            const { isError } = await callTool(server.client, 'products.get', { code: 30001 });
+
+            assert.equal(isError, false);
+            assert.equal(backend.logins, 1);
+            // The first attempt was rejected with 401, then retried once with the new token
+            assert.equal(backend.count('/api/supply/products'), 2);
+        });
+
+        it('renews a token before it expires', async () => {
+            // Tokens live 2s (1 to 2s by their whole-second exp) and are renewed after half of it
+            const shortLived = new MockBackend({ tokenTtlSeconds: 2 });
+            const shortServer = await startServer(await shortLived.start());
+            try {
+                await callTool(shortServer.client, 'products.get', { code: 30001 });
+                assert.equal(shortLived.logins, 1);
+
+                await sleep(1200);
+                const { isError } = await callTool(shortServer.client, 'products.get', { code: 30002 });
+
+                assert.equal(isError, false);
+                assert.equal(shortLived.logins, 2);
+                assert.equal(shortLived.requests.filter(request => request.path === '/api/supply/products').length, 2);
+            } finally {
+                await shortServer.close();
+                await shortLived.close();
+            }
+        });
+
+        it('keeps using a token that lives less than the renewal margin', async () => {
+            const shortLived = new MockBackend({ tokenTtlSeconds: 30 });
+            const shortServer = await startServer(await shortLived.start());
+            try {
+                await callTool(shortServer.client, 'products.get', { code: 30001 });
+                await callTool(shortServer.client, 'products.get', { code: 30002 });
+
+                assert.equal(shortLived.logins, 1);
+            } finally {
+                await shortServer.close();
+                await shortLived.close();
+            }
+        });
+
+        it('reports rejected credentials as AUTH_FAILED', async () => {
+            const badServer = await startServer(backend.url, { ADMIN_PASSWORD: 'wrong' });
+            try {
+                const { isError, body } = await callTool(badServer.client, 'products.get', { code: 30001 });
+
+                assert.equal(isError, true);
+                assert.equal(body.error.code, 'AUTH_FAILED');
+            } finally {
+                await badServer.close();
+            }
+        });
+    });
+
+    describe('per-user credentials', () => {
+        const USER_MODE = { AUTH_MODE: 'user', ADMIN_EMAIL: '', ADMIN_PASSWORD: '' };
+
+        it('requires auth.login when no service account is configured', async () => {
+            const userServer = await startServer(backend.url, USER_MODE);
+            try {
+                const before = await callTool(userServer.client, 'products.get', { code: 30001 });
+                assert.equal(before.isError, true);
+                assert.equal(before.body.error.code, 'AUTH_REQUIRED');
+
+                const login = await callTool(userServer.client, 'auth.login', MOCK_USER);
+                assert.equal(login.isError, false);
+                assert.equal(login.body.principal, MOCK_USER.email);
+
+                backend.reset();
+                const { isError } = await callTool(userServer.client, 'products.get', { code: 30001 });
+                assert.equal(isError, false);
+                assert.deepEqual(backend.requests.map(request => request.user), [MOCK_USER.email]);
+
+                await callTool(userServer.client, 'auth.logout');
+                const after = await callTool(userServer.client, 'products.get', { code: 30001 });
+                assert.equal(after.body.error.code, 'AUTH_REQUIRED');
+            } finally {
+                await userServer.close();
+            }
+        });
+
+        it('uses a token supplied by the client until the backend rejects it', async () => {
+            const response = await fetch(`${backend.url}/login`, { method: 'POST', body: JSON.stringify(MOCK_USER) });
+            const { token } = await response.json();
+            const userServer = await startServer(backend.url, USER_MODE);
+            try {
+                const login = await callTool(userServer.client, 'auth.login', { token });
+                assert.equal(login.body.principal, MOCK_USER.email);
+                assert.equal(login.body.method, 'token');
+
+                backend.reset();
+                assert.equal((await callTool(userServer.client, 'products.get', { code: 30001 })).isError, false);
+
+                backend.revokeTokens();
+                const { isError, body } = await callTool(userServer.client, 'products.get', { code: 30002 });
+                assert.equal(isError, true);
+                assert.equal(body.error.code, 'AUTH_FAILED');
+                // A supplied token cannot be renewed: no login behind the user's back
+                assert.equal(backend.logins, 0);
+            } finally {
+                await userServer.close();
+            }
+        });
+
+        it('checks a supplied token with the backend before trusting its claims', async () => {
+            const cachedServer = await startServer(backend.url, { ...USER_MODE, CACHE_TTL_MS: '60000' });
+            try {
+                await callTool(cachedServer.client, 'auth.login', MOCK_USER);
+                await callTool(cachedServer.client, 'products.search', { query: 'luva' });
+                await callTool(cachedServer.client, 'auth.logout');
+
+                // Unsigned token claiming to be the user whose search is cached
+                const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+                const forged = `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ sub: MOCK_USER.email })}.`;
+                backend.reset();
+                const login = await callTool(cachedServer.client, 'auth.login', { token: forged });
+
+                assert.equal(login.isError, true);
+                assert.equal(login.body.error.code, 'AUTH_FAILED');
+                assert.equal(backend.count('/api/supply/products'), 1);
+                const search = await callTool(cachedServer.client, 'products.search', { query: 'luva' });
+                assert.equal(search.body.error.code, 'AUTH_REQUIRED');
+            } finally {
+                await cachedServer.close();
+            }
+        });
+
+        it('falls back to the service account only when configured to', async () => {
+            const fallbackServer = await startServer(backend.url, { AUTH_MODE: 'user', AUTH_ADMIN_FALLBACK: 'true' });
+            try {
+                backend.reset();
+                await callTool(fallbackServer.client, 'products.get', { code: 30001 });
+                await callTool(fallbackServer.client, 'auth.login', MOCK_USER);
+                await callTool(fallbackServer.client, 'products.get', { code: 30001 });
+
+                const users = backend.requests.filter(request => request.path === '/api/supply/products').map(request => request.user);
+                // The user's call is not served from the service account's cache entry either
+                assert.deepEqual(users, [MOCK_CREDENTIALS.email, MOCK_USER.email]);
+            } finally {
+                await fallbackServer.close();
+            }
+        });
+
+        it('keeps requisition drafts with their backend user across restarts', async () => {
+            const dir = await mkdtemp(join(tmpdir(), 'supply-mcp-drafts-'));
+            const env = { ...USER_MODE, REQUISITIONS_FILE: join(dir, 'requisitions.json') };
+            let userServer = await startServer(backend.url, env);
+            try {
+                await callTool(userServer.client, 'auth.login', MOCK_USER);
+                const created = await callTool(userServer.client, 'requisition.create', { title: 'Compras' });
+                await callTool(userServer.client, 'requisition.addItem', { code: 12345 });
+                await userServer.close();
+
+                userServer = await startServer(backend.url, env);
+                await callTool(userServer.client, 'auth.login', MOCK_CREDENTIALS);
+                const other = await callTool(userServer.client, 'requisition.summary', { requisitionId: created.body.requisition.id });
+                assert.equal(other.isError, true);
+                assert.equal(other.body.error.code, 'NOT_FOUND');
+
+                await callTool(userServer.client, 'auth.login', MOCK_USER);
+                const own = await callTool(userServer.client, 'requisition.summary');
+                assert.equal(own.body.requisition.id, created.body.requisition.id);
+                assert.deepEqual(own.body.requisition.items.map(item => item.code), [12345]);
+            } finally {
+                await userServer.close();
+                await rm(dir, { recursive: true, force: true });
+            }
+        });
+
+        it('keeps every draft created while the drafts file is first read', async () => {
+            const fresh = await startServer(backend.url);
+            try {
+                const created = await Promise.all(['A', 'B'].map(title => callTool(fresh.client, 'requisition.create', { title })));
+
+                for (const { body } of created) {
+                    const { isError } = await callTool(fresh.client, 'requisition.summary', { requisitionId: body.requisition.id });
+                    assert.equal(isError, false);
+                }
+            } finally {
+                await fresh.close();
+            }
+        });
+
+        it('keeps admin.cache from users outside CACHE_ADMINS', async () => {
+            const userServer = await startServer(backend.url, { ...USER_MODE, CACHE_ADMINS: 'ops@example.com' });
+            try {
+                await callTool(userServer.client, 'auth.login', MOCK_USER);
+                const { isError, body } = await callTool(userServer.client, 'admin.cache', { action: 'inspect' });
+
+                assert.equal(isError, true);
+                assert.equal(body.error.code, 'FORBIDDEN');
+                assert.equal((await callTool(server.client, 'admin.cache', { action: 'inspect' })).isError, false);
+            } finally {
+                await userServer.close();
+            }
+        });
+
+        it('rejects wrong user credentials as AUTH_FAILED', async () => {
+            const userServer = await startServer(backend.url, USER_MODE);
+            try {
+                const { isError, body } = await callTool(userServer.client, 'auth.login', { email: MOCK_USER.email, password: 'wrong' });
+
+                assert.equal(isError, true);
+                assert.equal(body.error.code, 'AUTH_FAILED');
+            } finally {
+                await userServer.close();
+            }
+        });
+    });
+
+    describe('product comparison', () => {
+        it('compares unit prices only where the pack size is known', async () => {
+            const { body } = await callTool(server.client, 'products.compare', { codes: [20001, 20010] });
+
+            assert.deepEqual(body.products.map(product => [product.code, product.packSize, product.unitPrice]), [[20001, 100, 0.285], [20010, null, null]]);
+            assert.deepEqual(body.cheapest, { byPrice: 20010, byUnitPrice: 20001 });
+        });
+
+        it('renders the comparison as markdown with only the requested fields', async () => {
+            const { isError, content } = await server.client.callTool({
+                name: 'products.compare',
+                arguments: { codes: [20001, 20010], format: 'markdown', fields: ['name', 'unitPrice'] }
+            });
+
+            assert.equal(Boolean(isError), false);
+            const rows = content[0].text.split('\n').filter(line => line.startsWith('|')).map(line => line.split(' | ')[0]);
+            assert.deepEqual(rows, ['| Field', '|---|---|---|', '| Name', '| **unitPrice**']);
+        });
+    });
+
+    describe('list matching', () => {
+        it('leaves a line unmatched when its best hit has no similarity to clear the threshold', async () => {
+            backend.fail('/api/supply/products/vector-search', { status: 503, times: 1 });
+
+            const { body } = await callTool(server.client, 'products.matchList', { text: 'luva procedimento' });
+
+            assert.equal(body.matched, 0);
+            assert.equal(body.lines[0].status, 'unmatched');
+            assert.equal(body.lines[0].match, null);
+            assert.deepEqual(body.lines[0].alternatives.map(product => product.code), [20001, 20002]);
+            backend.reset();
+        });
+
+        it('matches a semantic hit that clears the threshold behind a literal-only one', async () => {
+            // The literal search only finds 901 (as written); the semantic one, with
+            // the abbreviations expanded, only 902: both rank first and tie
+            const products = [[901, 'LUVA PROC CX'], [902, 'LUVA PROCEDIMENTO CAIXA']].map(([code, name]) => ({
+                code, name, unit: 'CAIXA', priceEstimated: 30, description: '', type: 'Produto', family: 'X'
+            }));
+            const tied = new MockBackend({ products });
+            const tiedServer = await startServer(await tied.start());
+            try {
+                const { body } = await callTool(tiedServer.client, 'products.matchList', { text: 'luva proc cx' });
+
+                assert.equal(body.lines[0].status, 'matched');
+                assert.equal(body.lines[0].match.code, 902);
+                assert.deepEqual(body.lines[0].alternatives.map(product => product.code), [901]);
+            } finally {
+                await tiedServer.close();
+                await tied.close();
+            }
+        });
+    });
+
+    describe('backend errors', () => {
+        it('retries transient failures before giving up', async () => {
+            const retrying = await startServer(backend.url, { BACKEND_RETRIES: '2' });
+            try {
+                backend.reset();
+                backend.fail('/api/supply/products', { status: 502, times: 2 });
+
+                const { isError, body } = await callTool(retrying.client, 'products.get', { code: 40001 });
+
+                assert.equal(isError, false);
+                assert.equal(body.products[0].code, 40001);
+                assert.equal(backend.count('/api/supply/products'), 3);
+            } finally {
+                backend.reset();
+                await retrying.close();
+            }
+        });
+
+        it('maps 5xx and dropped connections to BACKEND_UNAVAILABLE, keeping the backend error type', async () => {
+            for (const [status, backendType] of [[500, 'server_error'], [0, 'unreachable']]) {
+                backend.fail('/api/supply/products', { status });
+
+                const { isError, body } = await callTool(server.client, 'products.get', { code: 40001 });
+
+                assert.equal(isError, true);
+                assert.equal(body.error.code, 'BACKEND_UNAVAILABLE');
+                assert.equal(body.error.backendType, backendType);
+                backend.reset();
+            }
+        });
+
+        it('maps 4xx to BACKEND_ERROR', async () => {
+            backend.fail('/api/supply/products', { status: 422, times: 1 });
+
+            const { isError, body } = await callTool(server.client, 'products.get', { code: 40001 });
+
+            assert.equal(isError, true);
+            assert.equal(body.error.code, 'BACKEND_ERROR');
+            assert.equal(body.error.backendType, 'client_error');
+            backend.reset();
+        });
+
+        it('reports an unreachable backend as BACKEND_UNAVAILABLE', async () => {
+            const down = new MockBackend();
+            const url = await down.start();
+            await down.close();
+
+            const orphan = await startServer(url);
+            try {
+                const { isError, body } = await callTool(orphan.client, 'products.search', { query: 'luva' });
+
+                assert.equal(isError, true);
+                assert.equal(body.error.code, 'BACKEND_UNAVAILABLE');
+            } finally {
+                await orphan.close();
+            }
+        });
+    });
+
+    describe('audit log', () => {
+        let dir;
+        let auditFile;
+
+        before(async () => {
+            dir = await mkdtemp(join(tmpdir(), 'supply-mcp-audit-'));
+            auditFile = join(dir, 'audit.jsonl');
+        });
+
+        after(async () => {
+            await rm(dir, { recursive: true, force: true });
+        });
+
+        it('records every call with counts, top codes, latency and error class', async () => {
+            const audited = await startServer(backend.url, { AUDIT_LOG_FILE: auditFile, AUDIT_REDACT_FIELDS: 'text' });
+            await callTool(audited.client, 'products.search', { query: 'luva procedimento', mode: 'literal' });
+            await callTool(audited.client, 'products.matchList', { text: '10 seringa 5ml' });
+            await callTool(audited.client, 'products.search', { query: 'luva', limit: 'abc' });
+            await callTool(audited.client, 'auth.login', { token: 'secret-token' });
+            await audited.close();
+
+            const records = await readRecords(auditFile, 4);
+            assert.equal(records.length, 4);
+
+            const [search, match, invalid, login] = records;
+            assert.equal(search.tool, 'products.search');
+            assert.deepEqual(search.arguments, { query: 'luva procedimento', mode: 'literal' });
+            assert.equal(search.resultCount, 2);
+            assert.deepEqual(search.topCodes, [20001, 20002]);
+            assert.equal(typeof search.latencyMs, 'number');
+            assert.equal(search.errorClass, null);
+            assert.match(search.correlationId, /^[0-9a-f-]{36}$/);
+            assert.ok(!Number.isNaN(Date.parse(search.timestamp)));
+
+            assert.deepEqual(match.arguments, { text: '[REDACTED]' });
+            assert.deepEqual(match.topCodes, [12345]);
+
+            assert.equal(invalid.success, false);
+            assert.equal(invalid.errorClass, 'INVALID_ARGUMENT');
+
+            // Credentials are redacted even when AUDIT_REDACT_FIELDS names other fields
+            assert.deepEqual(login.arguments, { token: '[REDACTED]' });
+        });
+
+        it('replays the log and reports queries whose top results changed', async () => {
+            const changed = new MockBackend();
+            // Swap the two gloves so the literal search returns them in the other order
+            const [first, second] = [changed.products.findIndex(product => product.code === 20001), changed.products.findIndex(product => product.code === 20002)];
+            [changed.products[first], changed.products[second]] = [changed.products[second], changed.products[first]];
+            const url = await changed.start();
+
+            try {
+                const { stdout } = await promisify(execFile)(process.execPath, [REPLAY, auditFile, '--json'], {
+                    env: { ...process.env, BACKEND_URL: url, ADMIN_EMAIL: MOCK_CREDENTIALS.email, ADMIN_PASSWORD: MOCK_CREDENTIALS.password, CACHE_TTL_MS: '0' }
+                }).catch(error => error);
+                const report = JSON.parse(stdout);
+
+                // The redacted matchList call is skipped
+                assert.equal(report.replayed, 1);
+                assert.deepEqual(report.changed.map(change => [change.before, change.after]), [[[20001, 20002], [20002, 20001]]]);
+            } finally {
+                await changed.close();
+            }
+        });
+
+        it('replays calls whose results drift from the output schema', async () => {
+            const drifted = new MockBackend();
+            for (const product of drifted.products) {
+                product.priceEstimated = String(product.priceEstimated);
+            }
+            const url = await drifted.start();
+
+            try {
+                const { stdout } = await promisify(execFile)(process.execPath, [REPLAY, auditFile, '--json'], {
+                    env: { ...process.env, BACKEND_URL: url, ADMIN_EMAIL: MOCK_CREDENTIALS.email, ADMIN_PASSWORD: MOCK_CREDENTIALS.password, CACHE_TTL_MS: '0' }
+                });
+                const report = JSON.parse(stdout);
+
+                assert.equal(report.unchanged, 1);
+                assert.deepEqual(report.changed, []);
+            } finally {
+                await drifted.close();
+            }
+        });
+    });
+
+    describe('observability', () => {
+        it('sends one correlation id per tool call to the backend', async () => {
+            backend.reset();
+            await callTool(server.client, 'products.search', { query: 'luva' });
+            await callTool(server.client, 'products.get', { code: 30001 });
+
+            const ids = backend.requests.map(request => request.headers['x-correlation-id']);
+            assert.ok(ids.every(Boolean));
+            // The hybrid search hits two endpoints (and maybe /login) with the same id; the next call gets its own
+            assert.equal(new Set(ids).size, 2);
+            assert.notEqual(ids[0], ids.at(-1));
+        });
+
+        it('counts calls, errors, latency and search fallbacks in server.stats', async () => {
+            const observed = await startServer(backend.url);
+            try {
+                backend.reset();
+                backend.fail('/api/supply/products/vector-search', { status: 503, times: 1 });
+                await callTool(observed.client, 'products.search', { query: 'luva' });
+                await callTool(observed.client, 'products.search', { query: 'seringa' });
+                await callTool(observed.client, 'products.similar', { code: 99999 });
+                await callTool(observed.client, 'products.delete', { code: 1 });
+                await callTool(observed.client, 'products.drop', { code: 1 });
+
+                const { isError, body } = await callTool(observed.client, 'server.stats');
+
+                assert.equal(isError, false);
+                assert.equal(body.tools['products.search'].calls, 2);
+                assert.equal(typeof body.tools['products.search'].latencyMs.p95, 'number');
+                assert.deepEqual(body.tools['products.similar'].errors, { NOT_FOUND: 1 });
+                assert.deepEqual(body.tools['(unknown)'].errors, { UNKNOWN_TOOL: 2 });
+                assert.equal(body.tools['products.delete'], undefined);
+                assert.deepEqual(body.backend['/api/supply/products/vector-search'].errors, { server_error: 1 });
+                assert.deepEqual(body.search, { hybridSearches: 2, fallbacks: 1, fallbackRate: 0.5 });
+                assert.deepEqual(body.auth, { logins: { initial: 1 }, refreshes: 0 });
+                assert.equal(body.circuitBreaker.state, 'closed');
+            } finally {
+                backend.reset();
+                await observed.close();
+            }
+        });
+
+        it('serves the metrics in the Prometheus text format when METRICS_PORT is set', async () => {
+            const port = await freePort();
+            const exposed = await startServer(backend.url, { METRICS_PORT: String(port) });
+            try {
+                await callTool(exposed.client, 'products.get', { code: 30001 });
+
+                const response = await fetch(`http://127.0.0.1:${port}/metrics`);
+                const text = await response.text();
+
+                assert.equal(response.status, 200);
+                assert.match(text, /^supply_mcp_tool_calls_total\{tool="products.get",outcome="ok"\} 1$/m);
+                assert.match(text, /^supply_mcp_auth_logins_total\{reason="initial"\} 1$/m);
+            } finally {
+                await exposed.close();
+            }
+        });
+    });
+
+    describe('configuration', () => {
+        const checkConfig = (args, env) => promisify(execFile)(process.execPath, [SERVER, '--check-config', ...args], {
+            env: { PATH: process.env.PATH, ...env }
+        }).catch(error => error);
+
+        it('refuses to start without explicit backend credentials', async () => {
+            const { code, stderr } = await checkConfig([], { BACKEND_URL: backend.url });
+
+            assert.equal(code, 1);
+            assert.match(stderr, /ADMIN_EMAIL is required/);
+            assert.match(stderr, /ADMIN_PASSWORD is required/);
+        });
+
+        it('reports every invalid setting', async () => {
+            const { code, stderr } = await checkConfig([], {
+                BACKEND_URL: 'backend:3100',
+                ADMIN_EMAIL: MOCK_CREDENTIALS.email,
+                ADMIN_PASSWORD: MOCK_CREDENTIALS.password,
+                CACHE_TTL_MS: 'five',
+                DEFAULT_THRESHOLD: '1.5'
+            });
+
+            assert.equal(code, 1);
+            assert.match(stderr, /BACKEND_URL must be an http\(s\) URL/);
+            assert.match(stderr, /CACHE_TTL_MS must be an integer/);
+            assert.match(stderr, /DEFAULT_THRESHOLD must be <= 1/);
+        });
+
+        it('layers the profile over the config file and the environment over both, masking secrets', async () => {
+            const dir = await mkdtemp(join(tmpdir(), 'supply-mcp-config-'));
+            const file = join(dir, 'config.yaml');
+            await writeFile(file, [
+                `BACKEND_URL: ${backend.url}`,
+                'ADMIN_EMAIL: dev@example.com',
+                'CACHE_TTL_MS: 1000',
+                'profiles:',
+                '  prod:',
+                '    ADMIN_EMAIL: prod@example.com',
+                '    CACHE_TTL_MS: 600000'
+            ].join('\n'));
+
+            try {
+                const { stdout } = await checkConfig(['--config', file, '--profile', 'prod'], {
+                    ADMIN_PASSWORD: MOCK_CREDENTIALS.password,
+                    CACHE_TTL_MS: '0'
+                });
+                const line = key => stdout.split('\n').find(text => text.startsWith(`${key} `));
+
+                assert.match(stdout, /^Profile: prod$/m);
+                assert.match(line('ADMIN_EMAIL'), /prod@example\.com\s+\[profile prod\]$/);
+                assert.match(line('CACHE_TTL_MS'), /\s0\s+\[env\]$/);
+                assert.match(line('ADMIN_PASSWORD'), /\*{8}\s+\[env\]$/);
+                assert.ok(!stdout.includes(MOCK_CREDENTIALS.password));
+            } finally {
+                await rm(dir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('relevance evaluation', () => {
+        let dir;
+        const evaluate = (args, env = {}) => promisify(execFile)(process.execPath, [EVALUATE, ...args, '--json'], {
+            env: { PATH: process.env.PATH, ...env }
+        }).catch(error => error);
+
+        before(async () => {
+            dir = await mkdtemp(join(tmpdir(), 'supply-mcp-eval-'));
+            await writeFile(join(dir, 'golden.json'), JSON.stringify({
+                k: 5,
+                thresholds: [0.5],
+                queries: [{ query: 'luva procedimento', relevant: [20002] }]
+            }));
+        });
+
+        after(async () => {
+            await rm(dir, { recursive: true, force: true });
+        });
+
+        it('scores recall@k, MRR and nDCG per configuration', async () => {
+            const { stdout } = await evaluate([join(dir, 'golden.json'), '--mock']);
+            const report = JSON.parse(stdout);
+
+            assert.deepEqual(Object.keys(report.configs), [
+                'products.search mode=hybrid',
+                'products.search mode=literal',
+                'products.search mode=semantic',
+                'products.vectorSearch threshold=0.5'
+            ]);
+            // The literal search ranks 20001 before the expected 20002
+            assert.deepEqual(report.configs['products.search mode=literal'].queries[0].ranked, [20001, 20002]);
+            assert.deepEqual(report.configs['products.search mode=literal'].metrics, { recall: 1, mrr: 0.5, ndcg: 0.6309 });
+        });
+
+        it('matches the saved baseline on the mock backend and fails on a regression', async () => {
+            const unchanged = await evaluate(['--mock', '--baseline', SEARCH_BASELINE]);
+            assert.equal(unchanged.code ?? 0, 0);
+            assert.equal(JSON.parse(unchanged.stdout).comparison.regressions, 0);
+
+            const baseline = JSON.parse(await readFile(SEARCH_BASELINE, 'utf8'));
+            baseline.configs['products.vectorSearch threshold=0.9'].metrics.recall = 1;
+            await writeFile(join(dir, 'baseline.json'), JSON.stringify(baseline));
+
+            const regressed = await evaluate(['--mock', '--baseline', join(dir, 'baseline.json')]);
+            const { comparison } = JSON.parse(regressed.stdout);
+            assert.equal(regressed.code, 1);
+            assert.equal(comparison.regressions, 1);
+            assert.deepEqual(comparison.configs['products.vectorSearch threshold=0.9'].regressed, ['recall']);
+        });
+
+        it('replays a recorded backend offline with the same results', async () => {
+            const recording = join(dir, 'recording.json');
+            const recorded = await evaluate([join(dir, 'golden.json'), '--record', recording], {
+                BACKEND_URL: backend.url,
+                ADMIN_EMAIL: MOCK_CREDENTIALS.email,
+                ADMIN_PASSWORD: MOCK_CREDENTIALS.password
+            });
+            const replayed = await evaluate([join(dir, 'golden.json'), '--replay', recording]);
+
+            const metrics = output => Object.values(JSON.parse(output.stdout).configs).map(config => config.metrics);
+            assert.deepEqual(metrics(replayed), metrics(recorded));
+        });
+    });
+
+    describe('malformed arguments', () => {
+        const cases = [
+            ['a missing required argument', 'products.search', {}, 'query'],
+            ['an empty query', 'products.search', { query: '   ' }, 'query'],
+            ['a negative limit', 'products.search', { query: 'luva', limit: -1 }, 'limit'],
+            ['a non-numeric limit', 'products.search', { query: 'luva', limit: 'abc' }, 'limit'],
+            ['a threshold above 1', 'products.vectorSearch', { query: 'luva', threshold: 5 }, 'threshold'],
+            ['an unknown search mode', 'products.search', { query: 'luva', mode: 'fuzzy' }, 'mode'],
+            ['an unknown argument', 'products.search', { query: 'luva', sort: 'price' }, 'sort'],
+            ['a bad code in a list', 'products.get', { code: [1, {}] }, 'code[1]'],
+            ['a forged cursor', 'products.search', { query: 'luva', cursor: 'not-a-cursor' }, 'cursor'],
+            ['a cursor past the catalog', 'products.search', { query: 'luva', cursor: Buffer.from(JSON.stringify({ scope: {}, offset: 5000000 })).toString('base64url') }, 'cursor'],
+            ['a repeated code to compare', 'products.compare', { codes: [12345, '12345'] }, 'codes'],
+            ['a non-positive quantity', 'requisition.addItem', { code: 12345, quantity: 0 }, 'quantity']
+        ];
+
+        for (const [label, tool, args, field] of cases) {
+            it(`rejects ${label} without calling the backend`, async () => {
+                backend.reset();
+                const { isError, body } = await callTool(server.client, tool, args);
+
+                assert.equal(isError, true);
+                assert.deepEqual(Object.keys(body.error).sort(), ['code', 'field', 'message']);
+                assert.equal(body.error.code, 'INVALID_ARGUMENT');
+                assert.equal(body.error.field, field);
+                assert.equal(backend.requests.length, 0);
+            });
+        }
+
+        it('rejects an unknown tool', async () => {
+            const { isError, body } = await callTool(server.client, 'products.delete', { code: 1 });
+
+            assert.equal(isError, true);
+            assert.equal(body.error.code, 'UNKNOWN_TOOL');
+        });
+
+        it('clamps a limit above the maximum with a warning', async () => {
+            const { isError, body } = await callTool(server.client, 'products.search', { query: 'seringa', limit: 1000 });
+
+            assert.equal(isError, false);
+            assert.deepEqual(body.warnings, ['limit clamped from 1000 to 50']);
+        });
+    });
+});
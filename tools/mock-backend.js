@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+
+import http from 'node:http';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { foldAccents } from '../src/normalize.js';
+
+const FIXTURES_FILE = fileURLToPath(new URL('./fixtures/products.json', import.meta.url));
+
+export const MOCK_CREDENTIALS = { email: 'admin@example.com', password: 'secret' };
+export const MOCK_USER = { email: 'buyer@example.com', password: 'buyer-secret' };
+
+const FILTER_PARAMS = ['family', 'type', 'unit'];
+
+function fold(text) {
+    return foldAccents(String(text)).toUpperCase();
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+function bearerToken(req) {
+    return (req.headers.authorization || '').replace(/^Bearer /, '');
+}
+
+/**
+ * Unsigned JWT carrying the user and the expiry the server reads
+ */
+function issueToken(email, expiresAt, serial) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ sub: email, exp: Math.floor(expiresAt / 1000), jti: serial })}.mock`;
+}
+
+/**
+ * Fixture-driven stand-in for the supply backend
+ *
+ * Implements /login, /api/supply/products (case-insensitive regex search on
+ * name or code; accents must match, like the real backend) and
+ * /api/supply/products/vector-search (word-overlap similarity), with
+ * hooks for tests to inject failures, revoke tokens and count calls. Each
+ * recorded request carries the `user` its token was issued to.
+ */
+export class MockBackend {
+    constructor({ products, credentials = MOCK_CREDENTIALS, users = [MOCK_USER], tokenTtlSeconds = 3600 } = {}) {
+        this.products = products || JSON.parse(readFileSync(FIXTURES_FILE, 'utf8'));
+        this.accounts = [credentials, ...users];
+        this.tokenTtlSeconds = tokenTtlSeconds;
+        this.tokens = new Map();
+        this.failures = new Map();
+        this.requests = [];
+        this.logins = 0;
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => sendJson(res, 500, { error: error.message }));
+        });
+    }
+
+    async start(port = 0, host = '127.0.0.1') {
+        await new Promise(resolve => this.server.listen(port, host, resolve));
+        const address = this.server.address();
+        this.url = `http://${address.address}:${address.port}`;
+        return this.url;
+    }
+
+    close() {
+        this.server.closeAllConnections?.();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Make the next `times` requests to a path fail with the given status
+     * (status 0 drops the connection instead of answering)
+     */
+    fail(path, { status = 500, times = Infinity } = {}) {
+        this.failures.set(path, { status, times });
+    }
+
+    revokeTokens() {
+        this.tokens.clear();
+    }
+
+    /**
+     * Forget failures and recorded calls (issued tokens stay valid)
+     */
+    reset() {
+        this.failures.clear();
+        this.requests = [];
+        this.logins = 0;
+    }
+
+    count(path) {
+        return this.requests.filter(request => request.path === path).length;
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://mock');
+        const body = await readBody(req);
+        this.requests.push({
+            method: req.method,
+            path: url.pathname,
+            params: Object.fromEntries(url.searchParams),
+            headers: req.headers,
+            user: this.tokens.get(bearerToken(req))?.email ?? null
+        });
+
+        const failure = this.failures.get(url.pathname);
+        if (failure && failure.times > 0) {
+            failure.times--;
+            if (failure.status === 0) {
+                req.socket.destroy();
+                return;
+            }
+            sendJson(res, failure.status, { error: `Injected failure (${failure.status})` });
+            return;
+        }
+
+        if (req.method === 'POST' && url.pathname === '/login') {
+            this.login(res, body);
+            return;
+        }
+        if (req.method !== 'GET') {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+        if (!this.authorized(req)) {
+            sendJson(res, 401, { error: 'Invalid or expired token' });
+            return;
+        }
+
+        switch (url.pathname) {
+            case '/api/supply/products': {
+                let products;
+                try {
+                    products = this.search(url.searchParams);
+                } catch {
+                    sendJson(res, 400, { error: 'Invalid search pattern' });
+                    return;
+                }
+                sendJson(res, 200, products);
+                return;
+            }
+            case '/api/supply/products/vector-search':
+                sendJson(res, 200, this.vectorSearch(url.searchParams));
+                return;
+            default:
+                sendJson(res, 404, { error: 'Not found' });
+        }
+    }
+
+    login(res, body) {
+        let credentials;
+        try {
+            credentials = JSON.parse(body || '{}');
+        } catch {
+            sendJson(res, 400, { error: 'Invalid JSON' });
+            return;
+        }
+        if (!this.accounts.some(account => account.email === credentials.email && account.password === credentials.password)) {
+            sendJson(res, 401, { error: 'Invalid credentials' });
+            return;
+        }
+
+        this.logins++;
+        const expiresAt = Date.now() + this.tokenTtlSeconds * 1000;
+        const token = issueToken(credentials.email, expiresAt, this.logins);
+        this.tokens.set(token, { email: credentials.email, expiresAt });
+        sendJson(res, 200, { token });
+    }
+
+    authorized(req) {
+        const issued = this.tokens.get(bearerToken(req));
+        return issued !== undefined && issued.expiresAt > Date.now();
+    }
+
+    filtered(params) {
+        return this.products.filter(product =>
+            FILTER_PARAMS.every(field => !params.get(field) || product[field] === params.get(field))
+        );
+    }
+
+    search(params) {
+        const pattern = new RegExp(String(params.get('search') || ''), 'i');
+        const skip = parseInt(params.get('skip') || '0', 10);
+        const limit = parseInt(params.get('limit') || '10', 10);
+
+        return this.filtered(params)
+            .filter(product => pattern.test(product.name) || pattern.test(String(product.code)))
+            .slice(skip, skip + limit);
+    }
+
+    vectorSearch(params) {
+        const query = params.get('query') || '';
+        const words = fold(query).split(/\s+/).filter(Boolean);
+        const threshold = parseFloat(params.get('threshold') || '0.7');
+        const limit = parseInt(params.get('limit') || '10', 10);
+
+        const products = this.filtered(params)
+            .map(product => {
+                const text = fold(`${product.name} ${product.description}`);
+                const hits = words.filter(word => text.includes(word)).length;
+                return { ...product, similarity: words.length ? Math.round((hits / words.length) * 1000) / 1000 : 0 };
+            })
+            .filter(product => product.similarity >= threshold)
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, limit);
+
+        return {
+            success: true,
+            query,
+            totalFound: products.length,
+            threshold,
+            products,
+            cacheInfo: { wasCached: false, cacheSize: 0 }
+        };
+    }
+}
+
+// Standalone: serve the fixtures for manual testing (BACKEND_URL=http://127.0.0.1:3100)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const backend = new MockBackend();
+    const url = await backend.start(parseInt(process.env.MOCK_BACKEND_PORT || '3100', 10));
+    console.error(`🧪 Mock supply backend listening on ${url} (logins: ${MOCK_CREDENTIALS.email} / ${MOCK_CREDENTIALS.password}, ${MOCK_USER.email} / ${MOCK_USER.password})`);
+}
@@ -0,0 +1,101 @@
+import http from 'node:http';
+import { readFile, writeFile } from 'node:fs/promises';
+
+// Headers passed through to the real backend while recording
+const FORWARDED_HEADERS = ['authorization', 'content-type', 'x-correlation-id'];
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Recording key of a request: method, path and sorted query parameters
+ */
+function recordingKey(method, url) {
+    const params = [...url.searchParams].sort(([a], [b]) => a.localeCompare(b));
+    return `${method} ${url.pathname}?${new URLSearchParams(params)}`;
+}
+
+/**
+ * Backend stand-in that records a real backend's GET responses to a file, or
+ * replays them offline
+ *
+ * In record mode every request is proxied to `target` and the GET responses
+ * are saved on close(). In replay mode /login always succeeds and GETs are
+ * answered from the file; a request that was never recorded gets a 404, so
+ * gaps in the recording show up as failed queries instead of wrong results.
+ */
+export class RecordedBackend {
+    constructor({ file, mode = 'replay', target = null }) {
+        if (mode === 'record' && !target) {
+            throw new Error('Recording needs the target backend URL');
+        }
+        this.file = file;
+        this.mode = mode;
+        this.target = target;
+        this.responses = {};
+        this.misses = [];
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => sendJson(res, 502, { error: error.message }));
+        });
+    }
+
+    async start(port = 0) {
+        if (this.mode === 'replay') {
+            ({ responses: this.responses } = JSON.parse(await readFile(this.file, 'utf8')));
+        }
+        await new Promise(resolve => this.server.listen(port, '127.0.0.1', resolve));
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        return this.url;
+    }
+
+    async close() {
+        await new Promise(resolve => this.server.close(resolve));
+        if (this.mode === 'record') {
+            const recording = { recordedAt: new Date().toISOString(), backend: this.target, responses: this.responses };
+            await writeFile(this.file, JSON.stringify(recording, null, 2) + '\n');
+        }
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://recorded');
+        const body = await readBody(req);
+        const key = recordingKey(req.method, url);
+
+        if (this.mode === 'record') {
+            const headers = Object.fromEntries(FORWARDED_HEADERS.filter(name => req.headers[name]).map(name => [name, req.headers[name]]));
+            const response = await fetch(`${this.target}${req.url}`, { method: req.method, headers, body: body || undefined });
+            const text = await response.text();
+            if (req.method === 'GET') {
+                this.responses[key] = { status: response.status, body: JSON.parse(text) };
+            }
+            res.writeHead(response.status, { 'Content-Type': response.headers.get('content-type') || 'application/json' });
+            res.end(text);
+            return;
+        }
+
+        if (req.method === 'POST' && url.pathname === '/login') {
+            sendJson(res, 200, { token: 'replay' });
+            return;
+        }
+        const recorded = this.responses[key];
+        if (!recorded) {
+            this.misses.push(key);
+            sendJson(res, 404, { error: `No recorded response for ${key}` });
+            return;
+        }
+        sendJson(res, recorded.status, recorded.body);
+    }
+}
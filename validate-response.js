@@ -9,55 +9,19 @@ const __dirname = dirname(__filename);
 
 /**
  * Validate MCP response format
+ *
+ * The contract itself lives in the server (src/outputSchemas.js): each result
+ * is checked there and violations come back in `warnings`.
  */
 function validateResponse(response) {
-    const errors = [];
-    
     try {
-        const result = JSON.parse(response.result.content[0].text);
-        
-        // Check required fields
+        const result = response.result.structuredContent || JSON.parse(response.result.content[0].text);
+        const errors = (result.warnings || []).filter(warning => warning.startsWith('Output schema violation'));
+
         if (!result.success) {
-            errors.push('Missing or invalid "success" field');
-        }
-        
-        if (typeof result.query !== 'string') {
-            errors.push('Missing or invalid "query" field');
-        }
-        
-        if (typeof result.totalFound !== 'number') {
-            errors.push('Missing or invalid "totalFound" field');
-        }
-        
-        if (!Array.isArray(result.products)) {
-            errors.push('Missing or invalid "products" array');
+            errors.push(`Request failed: ${JSON.stringify(result.error)}`);
         }
-        
-        // Validate each product
-        result.products.forEach((product, index) => {
-            const productErrors = [];
-            
-            if (typeof product.code !== 'number') {
-                productErrors.push('Missing or invalid "code" field');
-            }
-            
-            if (typeof product.name !== 'string') {
-                productErrors.push('Missing or invalid "name" field');
-            }
-            
-            if (typeof product.unit !== 'string') {
-                productErrors.push('Missing or invalid "unit" field');
-            }
-            
-            if (typeof product.estimatedPrice !== 'number') {
-                productErrors.push('Missing or invalid "estimatedPrice" field');
-            }
-            
-            if (productErrors.length > 0) {
-                errors.push(`Product ${index}: ${productErrors.join(', ')}`);
-            }
-        });
-        
+
         return {
             valid: errors.length === 0,
             errors,